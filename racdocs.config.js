@@ -0,0 +1,47 @@
+/**
+ * Documentation builder config
+ *
+ * Paths are relative to this file. Select a profile with --profile <name>; command line switches
+ * override both. Validated against schemas/racdocs-config.json
+ */
+
+module.exports = {
+    rootDir: '.',
+    outputFile: './public/docs.json',
+    directories: [
+        'docs',
+        'docs/docfx',
+        'docs/docfx/api',
+        'src',
+        'tests',
+        'samples'
+    ],
+    excludeDirectories: ['node_modules', '.git', 'bin', 'obj', '.vs'],
+    maxFileSize: 1024 * 1024, // 1MB limit per file
+
+    // Checked after frontmatter type and before the built-in path rules
+    typeRules: [],
+
+    // File processors beyond the built-in markdown, C#, DocFx XML and YAML handlers
+    plugins: ['./scripts/shader-processor.js'],
+
+    profiles: {
+        dev: {
+            serve: true
+        },
+        watch: {
+            watchMode: true
+        },
+        production: {
+            includeFileContents: false
+        },
+        sharded: {
+            shard: 'directory',
+            compress: true
+        },
+        site: {
+            format: 'html',
+            outputFile: './public/site'
+        }
+    }
+};
\ No newline at end of file
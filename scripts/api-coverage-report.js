@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+
+/**
+ * API Coverage Report
+ *
+ * Lists every public type and member declared in src/Rac.* and whether it has an XML summary,
+ * is mentioned in docs/, is used in samples/ and is exercised in tests/
+ * Usage: node api-coverage-report.js [--docs ./public/docs.json] [--output coverage.json] [--threshold 80 | summary=80,docs=40] [--list]
+ */
+
+const fs = require('fs');
+const CodeSampleChecker = require('./code-sample-checker');
+
+const COVERAGE_KINDS = ['summary', 'docs', 'samples', 'tests'];
+
+class ApiCoverageReport {
+    constructor(options = {}) {
+        this.options = {
+            sourcePattern: /^src\/Rac\./,
+            docsRoot: 'docs/',
+            samplesRoot: 'samples/',
+            testsRoot: 'tests/',
+            thresholds: {},
+            ...options
+        };
+    }
+
+    // "80" applies to XML summaries; "summary=80,docs=40" sets several kinds at once
+    static parseThresholds(text) {
+        const thresholds = {};
+        String(text).split(',').filter(Boolean).forEach(part => {
+            const [kind, value] = part.includes('=') ? part.split('=') : ['summary', part];
+            if (!COVERAGE_KINDS.includes(kind.trim()) || isNaN(Number(value))) {
+                throw new Error(`Invalid coverage threshold "${part}" (expected ${COVERAGE_KINDS.join('|')}=<percent>)`);
+            }
+            thresholds[kind.trim()] = Number(value);
+        });
+        return thresholds;
+    }
+
+    build(documents) {
+        const apis = this.collectPublicApis(documents);
+        const summaries = this.collectSummaries(documents);
+        const checker = new CodeSampleChecker();
+        checker.indexSymbols(documents);
+
+        const docsMentions = this.collectDocsMentions(documents, apis, checker);
+        const sampleUsages = this.collectCodeUsages(documents, this.options.samplesRoot, checker);
+        const testUsages = this.collectCodeUsages(documents, this.options.testsRoot, checker);
+
+        const entries = Array.from(apis.values())
+            .map(api => ({
+                ...api,
+                summary: summaries.has(api.name),
+                docs: docsMentions.has(api.name),
+                samples: sampleUsages.has(api.name),
+                tests: testUsages.has(api.name)
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        return {
+            generatedAt: new Date().toISOString(),
+            totals: this.summarize(entries),
+            namespaces: this.summarizeByNamespace(entries),
+            apis: entries
+        };
+    }
+
+    // Public declarations keyed by full name; overloads and partial declarations collapse into one entry
+    collectPublicApis(documents) {
+        const apis = new Map();
+
+        Object.values(documents).forEach(doc => {
+            if (doc.type !== 'source' || !Array.isArray(doc.symbols) || !this.options.sourcePattern.test(doc.path.replace(/\\/g, '/'))) return;
+
+            doc.symbols.forEach(symbol => {
+                if (symbol.effectiveAccessibility !== 'public' || symbol.explicitInterface || apis.has(symbol.fullName)) return;
+                apis.set(symbol.fullName, {
+                    name: symbol.fullName,
+                    kind: symbol.kind,
+                    namespace: symbol.namespace,
+                    path: doc.path,
+                    line: symbol.lineStart
+                });
+            });
+        });
+
+        return apis;
+    }
+
+    collectSummaries(documents) {
+        const summaries = new Set();
+        Object.values(documents).forEach(doc => {
+            if (doc.type === 'api' && doc.fullName && doc.xmlComment && doc.xmlComment.trim()) {
+                summaries.add(doc.fullName);
+            }
+        });
+        return summaries;
+    }
+
+    // Names in prose and inline code (World, World.CreateEntity, Rac.ECS.Core.World) plus
+    // whatever the C# blocks resolve to
+    collectDocsMentions(documents, apis, checker) {
+        const mentions = new Set();
+        const namesBySuffix = new Map();
+        const addSuffix = (suffix, apiName) => {
+            if (!namesBySuffix.has(suffix)) namesBySuffix.set(suffix, []);
+            namesBySuffix.get(suffix).push(apiName);
+        };
+
+        apis.forEach(api => {
+            const segments = api.name.split('.');
+            addSuffix(api.name, api.name);
+            if (this.isTypeKind(api.kind)) {
+                addSuffix(segments[segments.length - 1], api.name);
+            } else {
+                addSuffix(segments.slice(-2).join('.'), api.name);
+            }
+        });
+
+        Object.values(documents).forEach(doc => {
+            if (!doc.path.replace(/\\/g, '/').startsWith(this.options.docsRoot) || !doc.path.endsWith('.md')) return;
+
+            const content = doc.fullContent || (doc.sections || []).map(section => section.content).join('\n');
+            const inlineCode = Array.from(content.matchAll(/`([^`\n]+)`/g), match => match[1]).join(' ');
+            const names = [
+                ...(doc.apiReferences || []),
+                ...(inlineCode.match(/\b[A-Z]\w*(?:\.[A-Z]\w*)*/g) || [])
+            ];
+
+            names.forEach(name => {
+                const segments = name.split('.');
+                [name, segments.slice(-2).join('.')].forEach(suffix => {
+                    (namesBySuffix.get(suffix) || []).forEach(apiName => mentions.add(apiName));
+                });
+            });
+
+            (doc.codeBlocks || []).forEach(codeBlock => {
+                if (typeof codeBlock !== 'object' || !checker.options.languages.includes((codeBlock.language || '').toLowerCase())) return;
+                checker.analyzeCode(codeBlock.code).usages.forEach(apiName => mentions.add(apiName));
+            });
+        });
+
+        return mentions;
+    }
+
+    // Types and members the C# files under a root resolve to
+    collectCodeUsages(documents, root, checker) {
+        const usages = new Set();
+
+        Object.values(documents).forEach(doc => {
+            if (doc.type !== 'source' || !doc.path.replace(/\\/g, '/').startsWith(root) || typeof doc.codeBlocks[0] !== 'string') return;
+            checker.analyzeCode(doc.codeBlocks[0]).usages.forEach(apiName => usages.add(apiName));
+        });
+
+        return usages;
+    }
+
+    isTypeKind(kind) {
+        return ['class', 'struct', 'interface', 'enum', 'record', 'record struct', 'delegate'].includes(kind);
+    }
+
+    summarize(entries) {
+        const totals = { apis: entries.length };
+        COVERAGE_KINDS.forEach(kind => {
+            const covered = entries.filter(entry => entry[kind]).length;
+            totals[kind] = {
+                covered,
+                percent: entries.length > 0 ? Math.round((covered / entries.length) * 1000) / 10 : 100
+            };
+        });
+        return totals;
+    }
+
+    // Rac.ECS.Core and Rac.ECS.Systems both report under Rac.ECS
+    summarizeByNamespace(entries) {
+        const groups = {};
+        entries.forEach(entry => {
+            const group = (entry.namespace || '(global)').split('.').slice(0, 2).join('.');
+            (groups[group] = groups[group] || []).push(entry);
+        });
+
+        const namespaces = {};
+        Object.keys(groups).sort().forEach(group => {
+            namespaces[group] = this.summarize(groups[group]);
+        });
+        return namespaces;
+    }
+
+    // Kinds whose coverage is below the configured percentage
+    checkThresholds(report) {
+        return Object.entries(this.options.thresholds)
+            .filter(([kind, minimum]) => report.totals[kind].percent < minimum)
+            .map(([kind, minimum]) => ({ kind, minimum, percent: report.totals[kind].percent }));
+    }
+
+    printTable(report, listApis = false) {
+        const columns = ['Namespace', 'APIs', ...COVERAGE_KINDS.map(kind => kind[0].toUpperCase() + kind.slice(1))];
+        const rows = Object.entries(report.namespaces)
+            .map(([name, totals]) => [name, String(totals.apis), ...COVERAGE_KINDS.map(kind => `${totals[kind].percent}%`)]);
+        rows.push(['Total', String(report.totals.apis), ...COVERAGE_KINDS.map(kind => `${report.totals[kind].percent}%`)]);
+
+        const widths = columns.map((column, index) => Math.max(column.length, ...rows.map(row => row[index].length)));
+        const formatRow = (row) => row.map((cell, index) => (index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index]))).join('  ');
+
+        console.log('\n📈 API coverage:');
+        console.log(`   ${formatRow(columns)}`);
+        console.log(`   ${widths.map(width => '-'.repeat(width)).join('  ')}`);
+        rows.forEach((row, index) => {
+            if (index === rows.length - 1) console.log(`   ${widths.map(width => '-'.repeat(width)).join('  ')}`);
+            console.log(`   ${formatRow(row)}`);
+        });
+
+        if (listApis) {
+            console.log('');
+            report.apis.forEach(api => {
+                const marks = COVERAGE_KINDS.map(kind => (api[kind] ? '✓' : '·')).join(' ');
+                console.log(`   ${marks}  ${api.name} (${api.kind}, ${api.path}:${api.line})`);
+            });
+        }
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    let docsFile = './public/docs.json';
+    let outputFile = null;
+    let thresholds = {};
+    let listApis = false;
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--docs':
+                docsFile = args[++i];
+                break;
+            case '--output':
+                outputFile = args[++i];
+                break;
+            case '--threshold':
+                thresholds = ApiCoverageReport.parseThresholds(args[++i]);
+                break;
+            case '--list':
+                listApis = true;
+                break;
+        }
+    }
+
+    const docs = JSON.parse(fs.readFileSync(docsFile, 'utf8'));
+    const coverage = new ApiCoverageReport({ thresholds });
+    const report = coverage.build(docs.documents);
+    coverage.printTable(report, listApis);
+
+    if (outputFile) {
+        fs.writeFileSync(outputFile, JSON.stringify(report, null, 2));
+        console.log(`\n📄 Coverage report written to ${outputFile}`);
+    }
+
+    const failures = coverage.checkThresholds(report);
+    failures.forEach(failure => console.error(`❌ ${failure.kind} coverage ${failure.percent}% is below the ${failure.minimum}% threshold`));
+    process.exit(failures.length > 0 ? 1 : 0);
+}
+
+module.exports = ApiCoverageReport;
\ No newline at end of file
@@ -4,14 +4,60 @@
  * Unified Documentation Builder
  *
  * Scans all documentation directories and creates one comprehensive JSON file
- * Usage: node build-unified-docs.js [--output docs.json] [--watch]
+ * Usage: node build-unified-docs.js [--output docs.json] [--watch] [--serve [--port 8080]] [--cache] [--strict-frontmatter]
+ *        [--shard [document|directory]] [--compress] [--format json|html] [--coverage] [--coverage-threshold 80]
+ *        [--stale-days 30] [--no-git] [--config racdocs.config.js] [--profile dev|production|...] [--no-config]
+ *        [--plugin ./my-processor.js]
+ * Options come from the nearest racdocs.config.js/.json and its --profile; command line switches override both
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
 const matter = require('gray-matter'); // npm install gray-matter
 const chokidar = require('chokidar'); // npm install chokidar
 const xml2js = require('xml2js'); // npm install xml2js
+const yaml = require('js-yaml'); // npm install js-yaml
+const Ajv = require('ajv'); // npm install ajv
+const addFormats = require('ajv-formats'); // npm install ajv-formats
+const picomatch = require('picomatch'); // npm install picomatch
+const DocumentationServer = require('./docs-server');
+const SearchTokenizer = require('./search-tokenizer');
+const HeadingSlugger = require('./heading-slugger');
+const StaticSiteExporter = require('./static-site-exporter');
+const ChangelogIndex = require('./changelog-index');
+const CSharpParser = require('./csharp-parser');
+const ApiCoverageReport = require('./api-coverage-report');
+const ReferenceResolver = require('./reference-resolver');
+const ProjectGraph = require('./project-graph');
+const LearningGraph = require('./learning-graph');
+const SampleCatalog = require('./sample-catalog');
+const GitHistory = require('./git-history');
+const DocsConfig = require('./docs-config');
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+// Bump when the cached document shape changes so stale caches are discarded
+const CACHE_VERSION = 6;
+
+// Term frequency weight per field; the viewer ranks section hits with BM25 over these
+const SEARCH_FIELD_WEIGHTS = {
+    title: 5,
+    heading: 3,
+    keywords: 3,
+    summary: 2,
+    content: 1,
+    code: 1
+};
+
+// Frontmatter the viewer filters by; sharded manifests carry them so filtering needs no shard
+const FACET_FIELDS = ['difficulty', 'category', 'estimatedTime', 'deprecated', 'experimental'];
+
+// Cross-reference contexts that come from resolving a document's own names and hierarchy
+const RESOLVED_CONTEXTS = ['usage', 'inheritance', 'implementation'];
 
 class UnifiedDocumentationBuilder {
     constructor(options = {}) {
@@ -26,11 +72,56 @@ class UnifiedDocumentationBuilder {
                 'tests',
                 'samples'
             ],
-            watchMode: options.watchMode || false,
+            excludeDirectories: options.excludeDirectories || ['node_modules', '.git', 'bin', 'obj', '.vs'],
+            watchMode: options.watchMode || options.serve || false,
             includeFileContents: options.includeFileContents || true,
             maxFileSize: options.maxFileSize || 1024 * 1024, // 1MB limit per file
-            ...options
+            typeRules: options.typeRules || [], // [{ pattern: 'docs/adr/**', type: 'decision' }], first match wins
+            frontmatterSchema: options.frontmatterSchema || path.join(__dirname, '..', 'schemas', 'documentation-frontmatter.json'),
+            strictFrontmatter: options.strictFrontmatter || false,
+            cache: options.cache || options.watchMode || options.serve || false,
+            serve: options.serve || false,
+            port: options.port || 8080,
+            host: options.host || 'localhost',
+            format: options.format || 'json', // 'json' or 'html' (static site)
+            shard: options.shard || false, // false, 'document' or 'directory'
+            compress: options.compress || false,
+            coverage: options.coverage || Boolean(options.coverageThresholds) || false,
+            coverageThresholds: options.coverageThresholds || {}, // { summary: 80, docs: 40, ... } in percent
+            projectLayers: options.projectLayers || null, // [{ name, projects: ['Rac.Core', 'samples/*'] }], lowest first
+            sourceRoots: options.sourceRoots || ['src/'], // engine sources; only these become API documents
+            sampleDirectories: options.sampleDirectories || ['samples'], // each <dir>/<Name>/<Name>.csproj becomes a sample document
+            learningPaths: options.learningPaths || ['docs/educational-material', 'docs/user-guides'], // folders shown as guided paths
+            gitHistory: options.gitHistory !== false,
+            staleDocDays: options.staleDocDays || 30, // how far src/Rac.X may run ahead of docs/projects/Rac.X.md
+            plugins: options.plugins || [], // module paths, { module, options } or processor objects
+            ...options,
+            searchWeights: { ...SEARCH_FIELD_WEIGHTS, ...options.searchWeights } // a config may override single fields
         };
+        // Directories are 'docs' or { path: 'src', include: ['**/*.cs'], exclude: ['**/Generated/**'] }
+        this.directoryRules = this.options.directories.map(directory => {
+            const rule = typeof directory === 'string' ? { path: directory } : directory;
+            return {
+                path: rule.path.replace(/\\/g, '/').replace(/\/$/, ''),
+                include: rule.include && rule.include.length > 0 ? picomatch(rule.include, { dot: true }) : null,
+                exclude: rule.exclude && rule.exclude.length > 0 ? picomatch(rule.exclude, { dot: true }) : null
+            };
+        });
+        this.options.directories = this.directoryRules.map(rule => rule.path);
+        this.typeRules = this.options.typeRules.map(rule => ({ type: rule.type, matches: picomatch(rule.pattern, { dot: true }) }));
+        // The HTML export writes a directory; a .json output path becomes a sibling site/ folder
+        if (this.options.format === 'html' && /\.json$/i.test(this.options.outputFile)) {
+            this.options.outputFile = path.join(path.dirname(this.options.outputFile), 'site');
+        }
+        this.options.cacheFile = this.options.cacheFile
+            || path.join(path.dirname(this.options.outputFile), '.docs-cache.json');
+        this.options.coverageFile = this.options.coverageFile
+            || path.join(path.dirname(this.options.outputFile), 'api-coverage.json');
+        // Written as dependency-graph.mmd and dependency-graph.dot
+        this.options.dependencyGraphFile = this.options.dependencyGraphFile
+            || path.join(path.dirname(this.options.outputFile), 'dependency-graph');
+        // Brotli's top quality is ~25x slower than 9; watch rebuilds favour speed
+        this.options.brotliQuality = this.options.brotliQuality || (this.options.watchMode ? 5 : 11);
 
         this.unifiedDocument = {
             metadata: {
@@ -41,19 +132,65 @@ class UnifiedDocumentationBuilder {
             },
             documents: {},
             crossReferences: {},
+            changelog: {
+                releases: [],
+                apis: {}
+            },
+            projects: {
+                solution: null,
+                layers: [],
+                projects: {},
+                edges: [],
+                cycles: [],
+                violations: [],
+                diagrams: {}
+            },
+            learningGraph: {
+                nodes: {},
+                edges: [],
+                knowledge: [],
+                unresolved: [],
+                cycles: [],
+                paths: []
+            },
             searchIndex: {
                 terms: {},
                 apiCalls: {},
                 breadcrumbs: []
-            }
+            },
+            diagnostics: []
         };
 
         this.stats = {
             processed: 0,
             errors: 0,
             codeBlocks: 0,
-            crossRefs: 0
+            crossRefs: 0,
+            frontmatterProblems: 0
         };
+
+        this.frontmatterValidator = null;
+        this.searchTokenizer = new SearchTokenizer();
+        this.changelogIndex = new ChangelogIndex();
+        this.sampleCatalog = new SampleCatalog({ sampleDirectories: this.options.sampleDirectories, engineRoots: this.options.sourceRoots });
+        this.csharpParser = new CSharpParser();
+        this.referenceResolver = new ReferenceResolver({ sourceRoots: this.options.sourceRoots });
+        this.gitHistory = new GitHistory({ rootDir: this.options.rootDir });
+
+        // Per-file bookkeeping for incremental rebuilds: hash, produced documents, diagnostics
+        this.fileRecords = {};
+        this.currentFileRecord = null;
+        this.cache = null;
+        this.watcher = null;
+        this.server = null;
+        this.updateQueue = Promise.resolve();
+        this.deferredChanges = null; // watch-mode changes held back by a failed strict frontmatter check
+        this.shardHashes = new Map();
+
+        // File processors; plugins are consulted before the built-in handlers
+        this.processors = [];
+        this.registerBuiltinProcessors();
+        this.options.plugins.forEach(plugin => this.loadPlugin(plugin));
     }
 
     async build() {
@@ -64,7 +201,10 @@ class UnifiedDocumentationBuilder {
             // Clear previous data
             this.unifiedDocument.documents = {};
             this.unifiedDocument.crossReferences = {};
-            this.stats = { processed: 0, errors: 0, codeBlocks: 0, crossRefs: 0 };
+            this.unifiedDocument.diagnostics = [];
+            this.stats = { processed: 0, errors: 0, codeBlocks: 0, crossRefs: 0, frontmatterProblems: 0, cached: 0 };
+            this.fileRecords = {};
+            this.loadCache();
 
             // Scan all directories
             for (const dir of this.options.directories) {
@@ -77,8 +217,21 @@ class UnifiedDocumentationBuilder {
                 }
             }
 
+            // Strict mode refuses to publish docs that drift from the frontmatter template
+            if (this.options.strictFrontmatter && this.stats.frontmatterProblems > 0) {
+                throw new Error(`Frontmatter validation failed with ${this.stats.frontmatterProblems} problem(s)`);
+            }
+
+            this.applyGitHistory();
+            this.checkDocFreshness();
+
             // Build cross-references and search index
+            this.enrichApiDocumentsFromSource();
             this.buildCrossReferences();
+            this.buildChangelog();
+            this.buildProjectGraph();
+            this.buildSampleCatalog();
+            this.buildLearningGraph();
             this.buildSearchIndex();
 
             // Update metadata
@@ -87,13 +240,34 @@ class UnifiedDocumentationBuilder {
 
             // Write output
             await this.writeOutput();
+            this.writeDependencyDiagrams();
+            this.saveCache();
 
             this.printStats();
 
-            if (this.options.watchMode) {
+            // Coverage below a threshold fails the build after the docs themselves were written
+            const coverageFailures = this.options.coverage ? this.reportApiCoverage() : [];
+            if (coverageFailures.length > 0) {
+                throw new Error(`API coverage below threshold: ${coverageFailures.map(failure => `${failure.kind} ${failure.percent}% < ${failure.minimum}%`).join(', ')}`);
+            }
+
+            if (this.options.watchMode && !this.watcher) {
                 this.startWatching();
             }
 
+            if (this.options.serve && !this.server) {
+                const siteIndex = path.join(this.options.outputFile, 'index.html');
+                this.server = new DocumentationServer({
+                    port: this.options.port,
+                    host: this.options.host,
+                    // A static site is served as-is, starting from its own index page
+                    ...(this.options.format === 'html'
+                        ? { docsFile: siteIndex, viewerFile: siteIndex }
+                        : { docsFile: this.options.outputFile })
+                });
+                await this.server.start();
+            }
+
         } catch (error) {
             console.error('❌ Build failed:', error);
             throw error;
@@ -109,7 +283,7 @@ class UnifiedDocumentationBuilder {
 
             if (fs.statSync(itemPath).isDirectory()) {
                 // Skip common directories that aren't documentation
-                if (!['node_modules', '.git', 'bin', 'obj', '.vs'].includes(item)) {
+                if (!this.options.excludeDirectories.includes(item)) {
                     await this.scanDirectory(itemPath, itemRelativePath);
                 }
             } else {
@@ -118,25 +292,299 @@ class UnifiedDocumentationBuilder {
         }
     }
 
+    /**
+     * Registers a file processor. A processor is an object (or class instance) with
+     *   name        unique name, shown in errors and kept on the documents it returns
+     *   extensions  file endings it handles ('.frag'); also decides what watch mode listens to
+     *   patterns    optional globs relative to rootDir narrowing those files ('src/Rac.Rendering/**')
+     *   process(file, builder)  returns a document, an array of documents or nothing; file is
+     *               { fullPath, relativePath, extension, size, read() }. Missing fields (key, type,
+     *               sections, tags, ...) are filled in, so { title, sections } is a valid document
+     * and optionally the hooks
+     *   crossReferences(crossRefs, builder)  after API references are resolved; add entries with
+     *               builder.ensureCrossReference(crossRefs, name)
+     *   searchTerms(doc, add)  extra text for a document: add(text, field = 'content', sectionIndex)
+     */
+    registerProcessor(processor) {
+        if (!processor || !processor.name || typeof processor.process !== 'function'
+            || !Array.isArray(processor.extensions) || processor.extensions.length === 0) {
+            throw new Error(`Invalid processor ${processor && processor.name ? processor.name : '(unnamed)'}: name, extensions and process() are required`);
+        }
+        if (this.processors.some(existing => existing.name === processor.name)) {
+            throw new Error(`A processor named ${processor.name} is already registered`);
+        }
+
+        processor.extensions = processor.extensions.map(extension => extension.toLowerCase());
+        processor.matchesPattern = processor.patterns && processor.patterns.length > 0
+            ? picomatch(processor.patterns, { dot: true })
+            : () => true;
+        this.processors.push(processor);
+        return processor;
+    }
+
+    // The original handlers, expressed as processors so plugins can sit in front of them
+    registerBuiltinProcessors() {
+        [
+            { name: 'markdown', extensions: ['.md'], process: (file) => this.processMarkdownFile(file.fullPath, file.relativePath) },
+            { name: 'csharp', extensions: ['.cs'], process: (file) => this.processCSharpFile(file.fullPath, file.relativePath) },
+            { name: 'docfx-xml', extensions: ['.xml'], patterns: ['**/*docfx*/**'], process: (file) => this.processDocFxXmlFile(file.fullPath, file.relativePath) },
+            { name: 'yaml', extensions: ['.yml', '.yaml'], process: (file) => this.processYamlFile(file.fullPath, file.relativePath) }
+        ].forEach(processor => this.registerProcessor({ ...processor, builtin: true }));
+    }
+
+    // 'scripts/shader-processor.js', { module: './my-plugin.js', options: {...} } or a processor object;
+    // a module exporting a class is instantiated with the options
+    loadPlugin(plugin) {
+        const spec = typeof plugin === 'string' ? { module: plugin } : plugin;
+        if (!spec.module) {
+            return this.registerProcessor(spec);
+        }
+
+        const modulePath = spec.module.startsWith('.') ? path.resolve(spec.module) : spec.module;
+        const exported = require(modulePath);
+        const processor = typeof exported === 'function' ? new exported(spec.options || {}) : exported;
+        processor.source = require.resolve(modulePath);
+        return this.registerProcessor(processor);
+    }
+
+    findProcessor(relativePath) {
+        const filePath = relativePath.replace(/\\/g, '/');
+        const handles = (processor) => processor.extensions.some(ending => filePath.toLowerCase().endsWith(ending))
+            && processor.matchesPattern(filePath);
+
+        return this.processors.find(processor => !processor.builtin && handles(processor))
+            || this.processors.find(processor => processor.builtin && handles(processor))
+            || null;
+    }
+
+    async runProcessor(processor, fullPath, relativePath) {
+        const size = fs.statSync(fullPath).size;
+        if (!processor.builtin && size > this.options.maxFileSize) {
+            console.log(`⚠️  Skipping large file: ${relativePath} (${Math.round(size / 1024)}KB)`);
+            return;
+        }
+
+        const file = {
+            fullPath,
+            relativePath,
+            extension: path.extname(relativePath).toLowerCase(),
+            size,
+            read: () => fs.readFileSync(fullPath, 'utf8')
+        };
+        const result = await processor.process(file, this);
+
+        // Built-in handlers add their documents themselves
+        [].concat(result || []).forEach((document, index) => {
+            this.addDocument(this.completeDocument(document, processor, file, index));
+        });
+    }
+
+    // Plugin documents get the fields every consumer of docs.json relies on
+    completeDocument(document, processor, file, index) {
+        if (!document || typeof document !== 'object' || !document.title) {
+            throw new Error(`Processor ${processor.name} returned a document without a title for ${file.relativePath}`);
+        }
+
+        const key = this.generateBreadcrumbKey(file.relativePath);
+        return {
+            key: index === 0 ? key : `${key}#${index}`,
+            type: this.determineDocumentType(file.relativePath, {}),
+            path: file.relativePath,
+            size: file.size,
+            lastModified: fs.statSync(file.fullPath).mtime.toISOString(),
+            frontmatter: {},
+            tags: [],
+            sections: [],
+            codeBlocks: [],
+            links: [],
+            apiReferences: [],
+            searchTerms: [],
+            ...document,
+            processor: processor.name
+        };
+    }
+
     async processFile(fullPath, relativePath) {
-        const ext = path.extname(relativePath).toLowerCase();
+        // Overlapping directories (docs and docs/docfx) reach the same file twice
+        if (this.fileRecords[relativePath]) {
+            return;
+        }
 
         try {
-            if (ext === '.md') {
-                await this.processMarkdownFile(fullPath, relativePath);
-            } else if (ext === '.cs') {
-                await this.processCSharpFile(fullPath, relativePath);
-            } else if (ext === '.xml' && relativePath.includes('docfx')) {
-                await this.processDocFxXmlFile(fullPath, relativePath);
-            } else if (ext === '.yml' || ext === '.yaml') {
-                await this.processYamlFile(fullPath, relativePath);
+            if (this.isDocumentationSource(relativePath)) {
+                const hash = this.hashFile(fullPath);
+
+                if (!this.restoreFromCache(relativePath, hash)) {
+                    this.beginFileRecord(relativePath, hash);
+                    await this.runProcessor(this.findProcessor(relativePath), fullPath, relativePath);
+                    this.endFileRecord();
+                }
             }
 
             this.stats.processed++;
         } catch (error) {
             console.error(`❌ Error processing ${relativePath}:`, error.message);
             this.stats.errors++;
+            this.endFileRecord();
+        }
+    }
+
+    isDocumentationSource(relativePath) {
+        return this.findProcessor(relativePath) !== null && this.isIncluded(relativePath);
+    }
+
+    isProjectFile(relativePath) {
+        return /\.(csproj|sln)$/i.test(relativePath);
+    }
+
+    // Overlapping directories (docs and docs/docfx) each get a say; any one accepting the file is enough
+    isIncluded(relativePath) {
+        const filePath = relativePath.replace(/\\/g, '/');
+        return this.directoryRules.some(rule => {
+            const prefix = rule.path === '.' ? '' : `${rule.path}/`;
+            if (!filePath.startsWith(prefix)) return false;
+
+            const innerPath = filePath.slice(prefix.length);
+            return (!rule.include || rule.include(innerPath)) && !(rule.exclude && rule.exclude(innerPath));
+        });
+    }
+
+    addDocument(document) {
+        this.unifiedDocument.documents[document.key] = document;
+        if (this.currentFileRecord) {
+            this.currentFileRecord.documentKeys.push(document.key);
+        }
+    }
+
+    hashFile(fullPath) {
+        return crypto.createHash('sha1').update(fs.readFileSync(fullPath)).digest('hex');
+    }
+
+    beginFileRecord(relativePath, hash) {
+        this.currentFileRecord = {
+            path: relativePath,
+            hash: hash,
+            documentKeys: [],
+            diagnostics: [],
+            codeBlocks: this.stats.codeBlocks
+        };
+    }
+
+    endFileRecord() {
+        const record = this.currentFileRecord;
+        if (!record) return;
+
+        // codeBlocks holds the running total at the start; store this file's share
+        record.codeBlocks = this.stats.codeBlocks - record.codeBlocks;
+        record.diagnostics = this.unifiedDocument.diagnostics.filter(diagnostic => diagnostic.path === record.path);
+        this.fileRecords[record.path] = record;
+        this.currentFileRecord = null;
+    }
+
+    restoreFromCache(relativePath, hash) {
+        const entry = this.cache && this.cache.files[relativePath];
+        if (!entry || entry.hash !== hash) {
+            return false;
+        }
+
+        entry.documents.forEach(doc => {
+            this.unifiedDocument.documents[doc.key] = doc;
+        });
+        this.unifiedDocument.diagnostics.push(...entry.diagnostics);
+        this.stats.codeBlocks += entry.codeBlocks;
+        this.stats.frontmatterProblems += entry.diagnostics.filter(diagnostic => diagnostic.rule === 'frontmatter-schema').length;
+        this.stats.cached++;
+
+        this.fileRecords[relativePath] = {
+            path: relativePath,
+            hash: hash,
+            documentKeys: entry.documents.map(doc => doc.key),
+            diagnostics: entry.diagnostics,
+            codeBlocks: entry.codeBlocks
+        };
+        return true;
+    }
+
+    removeFileRecord(relativePath) {
+        const record = this.fileRecords[relativePath];
+        if (!record) return [];
+
+        const removed = record.documentKeys
+            .map(key => this.unifiedDocument.documents[key])
+            .filter(Boolean);
+        removed.forEach(doc => delete this.unifiedDocument.documents[doc.key]);
+
+        this.unifiedDocument.diagnostics = this.unifiedDocument.diagnostics
+            .filter(diagnostic => diagnostic.path !== relativePath);
+        this.stats.codeBlocks -= record.codeBlocks;
+        delete this.fileRecords[relativePath];
+
+        return removed;
+    }
+
+    getCacheFingerprint() {
+        // Options that change document output, plus the builder itself, invalidate the cache
+        const fingerprint = {
+            version: CACHE_VERSION,
+            builder: this.hashFile(__filename),
+            includeFileContents: this.options.includeFileContents,
+            maxFileSize: this.options.maxFileSize,
+            typeRules: this.options.typeRules,
+            sourceRoots: this.options.sourceRoots,
+            processors: this.processors.map(processor => ({
+                name: processor.name,
+                version: processor.version || null,
+                source: processor.source ? this.hashFile(processor.source) : null
+            })),
+            strictFrontmatter: this.options.strictFrontmatter,
+            frontmatterSchema: this.options.frontmatterSchema && fs.existsSync(this.options.frontmatterSchema)
+                ? this.hashFile(this.options.frontmatterSchema)
+                : null
+        };
+        return crypto.createHash('sha1').update(JSON.stringify(fingerprint)).digest('hex');
+    }
+
+    loadCache() {
+        this.cache = null;
+        if (!this.options.cache || !fs.existsSync(this.options.cacheFile)) {
+            return;
+        }
+
+        try {
+            const cache = JSON.parse(fs.readFileSync(this.options.cacheFile, 'utf8'));
+            if (cache.fingerprint === this.getCacheFingerprint() && cache.files) {
+                this.cache = cache;
+                console.log(`♻️  Loaded build cache with ${Object.keys(cache.files).length} files`);
+            } else {
+                console.log('♻️  Build cache is out of date, doing a full rebuild');
+            }
+        } catch (error) {
+            console.warn(`⚠️  Ignoring unreadable build cache ${this.options.cacheFile}:`, error.message);
+        }
+    }
+
+    saveCache() {
+        if (!this.options.cache) return;
+
+        const files = {};
+        for (const [relativePath, record] of Object.entries(this.fileRecords)) {
+            files[relativePath] = {
+                hash: record.hash,
+                codeBlocks: record.codeBlocks,
+                diagnostics: record.diagnostics,
+                documents: record.documentKeys
+                    .map(key => this.unifiedDocument.documents[key])
+                    .filter(Boolean)
+            };
+        }
+
+        const cache = { fingerprint: this.getCacheFingerprint(), files };
+        const cacheDir = path.dirname(this.options.cacheFile);
+        if (!fs.existsSync(cacheDir)) {
+            fs.mkdirSync(cacheDir, { recursive: true });
         }
+        fs.writeFileSync(this.options.cacheFile, JSON.stringify(cache));
+        this.cache = cache;
     }
 
     async processMarkdownFile(fullPath, relativePath) {
@@ -150,12 +598,14 @@ class UnifiedDocumentationBuilder {
 
         const parsed = matter(content);
         const breadcrumbKey = this.generateBreadcrumbKey(relativePath);
+        const frontmatterDiagnostics = this.validateFrontmatter(content, parsed, relativePath);
 
         // Parse markdown structure
         const sections = this.parseMarkdownSections(parsed.content);
-        const codeBlocks = this.extractAllCodeBlocks(parsed.content);
-        const apiReferences = this.extractApiReferences(parsed.content);
-        const links = this.extractMarkdownLinks(parsed.content);
+        const contentLineOffset = content.split('\n').length - parsed.content.split('\n').length;
+        const codeBlocks = this.extractAllCodeBlocks(parsed.content, contentLineOffset);
+        const references = this.referenceResolver.extractFromMarkdown(parsed.content, codeBlocks, contentLineOffset);
+        const links = this.extractMarkdownLinks(parsed.content, contentLineOffset);
 
         // Build document
         const document = {
@@ -168,13 +618,15 @@ class UnifiedDocumentationBuilder {
 
             // Metadata
             frontmatter: parsed.data,
+            frontmatterValid: frontmatterDiagnostics.length === 0,
             xmlComment: parsed.data.summary || parsed.data.description,
-            tags: parsed.data.tags || [],
+            tags: [].concat(parsed.data.tags || []), // tags: ecs is a single tag
 
             // Content structure
             sections: sections,
             codeBlocks: codeBlocks,
-            apiReferences: apiReferences,
+            apiReferences: references.names,
+            referenceContext: references.context,
             links: links,
 
             // Full content (optional, for complete text search)
@@ -184,23 +636,141 @@ class UnifiedDocumentationBuilder {
             searchTerms: this.extractSearchTerms(parsed.content, parsed.data)
         };
 
-        this.unifiedDocument.documents[breadcrumbKey] = document;
+        if (document.type === 'changelog') {
+            document.releases = this.changelogIndex.parseDocument(parsed.content, parsed.data, relativePath, contentLineOffset);
+        }
+
+        this.addDocument(document);
         this.stats.codeBlocks += codeBlocks.length;
 
         console.log(`✅ ${breadcrumbKey} (${sections.length} sections, ${codeBlocks.length} code blocks)`);
     }
 
+    validateFrontmatter(content, parsed, relativePath) {
+        const validate = this.getFrontmatterValidator();
+        if (!validate) return [];
+
+        const diagnostics = [];
+        const report = (line, field, message) => {
+            const diagnostic = {
+                rule: 'frontmatter-schema',
+                severity: this.options.strictFrontmatter ? 'error' : 'warning',
+                path: relativePath,
+                line: line,
+                field: field,
+                message: message
+            };
+            diagnostics.push(diagnostic);
+            this.unifiedDocument.diagnostics.push(diagnostic);
+            console.warn(`${this.options.strictFrontmatter ? '❌' : '⚠️ '} ${relativePath}:${line} ${field ? `${field}: ` : ''}${message}`);
+        };
+
+        // parsed.matter is lost on gray-matter's cached results, so test the raw content instead
+        if (!matter.test(content) || Object.keys(parsed.data).length === 0) {
+            report(1, null, 'No frontmatter block; expected title, type, summary and tags');
+            this.stats.frontmatterProblems += diagnostics.length;
+            return diagnostics;
+        }
+
+        // YAML turns bare dates into Date objects; the schema expects date strings
+        const data = {};
+        for (const [key, value] of Object.entries(parsed.data)) {
+            data[key] = value instanceof Date ? value.toISOString().slice(0, 10) : value;
+        }
+
+        if (!validate(data)) {
+            const frontmatterLines = content.split(/\r?\n/);
+
+            for (const error of validate.errors) {
+                // Wrapper keywords only repeat what their nested errors already say
+                if (error.keyword === 'if' || error.schemaPath.includes('/anyOf/')) continue;
+
+                const fieldPath = error.instancePath.split('/').filter(Boolean);
+                let message = error.message;
+
+                if (error.keyword === 'required') {
+                    fieldPath.push(error.params.missingProperty);
+                    message = 'required field is missing';
+                } else if (error.keyword === 'additionalProperties') {
+                    fieldPath.push(error.params.additionalProperty);
+                    message = 'field is not defined in the frontmatter schema';
+                } else if (error.keyword === 'enum') {
+                    message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+                } else if (error.keyword === 'anyOf') {
+                    const options = (error.parentSchema.anyOf || []).map(option => (option.required || []).join(', '));
+                    message = `must define one of: ${options.join(' | ')}`;
+                } else if (error.keyword === 'not') {
+                    message = 'method and property cannot both be set';
+                }
+
+                const line = error.keyword === 'required'
+                    ? 1
+                    : this.locateFrontmatterLine(frontmatterLines, fieldPath);
+                report(line, fieldPath.join('.') || null, message);
+            }
+        }
+
+        this.stats.frontmatterProblems += diagnostics.length;
+        return diagnostics;
+    }
+
+    getFrontmatterValidator() {
+        if (this.frontmatterValidator !== null) {
+            return this.frontmatterValidator;
+        }
+
+        if (!this.options.frontmatterSchema || !fs.existsSync(this.options.frontmatterSchema)) {
+            console.warn(`⚠️  Frontmatter schema not found, skipping validation: ${this.options.frontmatterSchema}`);
+            this.frontmatterValidator = false;
+            return this.frontmatterValidator;
+        }
+
+        const schema = JSON.parse(fs.readFileSync(this.options.frontmatterSchema, 'utf8'));
+        const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+        addFormats(ajv);
+
+        this.frontmatterValidator = ajv.compile(schema);
+        return this.frontmatterValidator;
+    }
+
+    locateFrontmatterLine(lines, fieldPath) {
+        // Line numbers are 1-based and count the opening --- as line 1
+        const [field, index] = fieldPath;
+        if (!field) return 1;
+
+        let fieldLine = -1;
+        for (let i = 1; i < lines.length && lines[i].trim() !== '---'; i++) {
+            if (new RegExp(`^${field}\\s*:`).test(lines[i])) {
+                fieldLine = i;
+                break;
+            }
+        }
+        if (fieldLine === -1) return 1;
+
+        // Block-style array items sit on their own "- item" lines below the key
+        if (index !== undefined && /^\d+$/.test(index)) {
+            let itemCount = 0;
+            for (let i = fieldLine + 1; i < lines.length && /^\s+-|^-/.test(lines[i]); i++) {
+                if (itemCount === Number(index)) return i + 1;
+                itemCount++;
+            }
+        }
+
+        return fieldLine + 1;
+    }
+
     async processCSharpFile(fullPath, relativePath) {
-        // Basic C# file processing - extract classes, methods, etc.
         const content = fs.readFileSync(fullPath, 'utf8');
         const breadcrumbKey = this.generateBreadcrumbKey(relativePath);
 
-        // Simple regex-based extraction (could be enhanced with a proper C# parser)
-        const classes = this.extractCSharpClasses(content);
-        const methods = this.extractCSharpMethods(content);
-        const usings = this.extractCSharpUsings(content);
+        const parsed = this.csharpParser.parse(content);
+        const typeKinds = ['class', 'struct', 'interface', 'enum', 'record', 'record struct', 'delegate'];
+        const classes = parsed.symbols.filter(symbol => typeKinds.includes(symbol.kind)).map(symbol => symbol.name);
+        const methods = [...new Set(parsed.symbols.filter(symbol => symbol.kind === 'method').map(symbol => symbol.name))];
+        const usings = parsed.usings.map(using => using.name);
+        const references = this.referenceResolver.extractFromSource(content, parsed);
 
-        if (classes.length > 0 || methods.length > 0) {
+        if (parsed.symbols.length > 0) {
             const document = {
                 key: breadcrumbKey,
                 title: this.generateTitleFromPath(relativePath),
@@ -214,19 +784,41 @@ class UnifiedDocumentationBuilder {
 
                 sections: [],
                 codeBlocks: [content], // Full file as code block
-                apiReferences: [],
+                apiReferences: references.names,
+                referenceContext: references.context,
                 links: [],
 
-                // C# specific data
+                // C# specific data; classes lists every type declaration (records, structs, interfaces, enums too)
+                namespaces: parsed.namespaces,
                 classes: classes,
                 methods: methods,
                 usings: usings,
+                symbols: parsed.symbols.map(({ docComment, ...symbol }) => symbol),
 
                 searchTerms: [...classes, ...methods, ...usings]
             };
 
-            this.unifiedDocument.documents[breadcrumbKey] = document;
-            console.log(`✅ ${breadcrumbKey} (${classes.length} classes, ${methods.length} methods)`);
+            this.addDocument(document);
+            console.log(`✅ ${breadcrumbKey} (${classes.length} types, ${parsed.symbols.length - classes.length} members)`);
+        }
+
+        // Turn documented public types and members of the engine into API documents; tests and samples stay source files
+        const isEngineSource = this.options.sourceRoots.some(root => relativePath.replace(/\\/g, '/').startsWith(root));
+        const apiDocs = isEngineSource ? this.extractCSharpApiDocs(parsed) : [];
+
+        for (const apiDoc of apiDocs) {
+            this.addApiDocument(apiDoc, {
+                keyPrefix: 'api',
+                path: relativePath,
+                fullPath: fullPath,
+                size: Buffer.byteLength(apiDoc.rawComment, 'utf8'),
+                tags: ['api', 'csharp'],
+                usings: references.context.usings
+            });
+        }
+
+        if (apiDocs.length > 0) {
+            console.log(`✅ ${breadcrumbKey} (${apiDocs.length} API documents from XML comments)`);
         }
     }
 
@@ -239,41 +831,16 @@ class UnifiedDocumentationBuilder {
             const result = await parser.parseStringPromise(content);
 
             // Extract API documentation from XML
-            const apiDocs = this.extractApiDocsFromXml(result);
+            const apiDocs = this.extractApiDocsFromXml(result, content);
 
             for (const apiDoc of apiDocs) {
-                const breadcrumbKey = `docs.docfx.api.${apiDoc.fullName.toLowerCase().replace(/\./g, '.')}`;
-
-                const document = {
-                    key: breadcrumbKey,
-                    title: apiDoc.name,
-                    type: 'api',
+                const breadcrumbKey = this.addApiDocument(apiDoc, {
+                    keyPrefix: 'docs.docfx.api',
                     path: relativePath,
+                    fullPath: fullPath,
                     size: Buffer.byteLength(content, 'utf8'),
-                    lastModified: fs.statSync(fullPath).mtime.toISOString(),
-
-                    frontmatter: {
-                        namespace: apiDoc.namespace,
-                        class: apiDoc.className,
-                        type: apiDoc.type
-                    },
-                    xmlComment: apiDoc.summary,
-                    tags: ['api', 'docfx'],
-
-                    sections: apiDoc.sections,
-                    codeBlocks: apiDoc.examples,
-                    apiReferences: [apiDoc.fullName],
-                    links: [],
-
-                    // API specific data
-                    signature: apiDoc.signature,
-                    parameters: apiDoc.parameters,
-                    returnType: apiDoc.returnType,
-
-                    searchTerms: [apiDoc.name, apiDoc.fullName, apiDoc.namespace, apiDoc.className]
-                };
-
-                this.unifiedDocument.documents[breadcrumbKey] = document;
+                    tags: ['api', 'docfx']
+                });
                 console.log(`✅ ${breadcrumbKey} (API: ${apiDoc.fullName})`);
             }
         } catch (error) {
@@ -283,12 +850,146 @@ class UnifiedDocumentationBuilder {
 
     async processYamlFile(fullPath, relativePath) {
         // Process YAML files (often used by DocFx)
-        // This would need a YAML parser like js-yaml
-        console.log(`📄 YAML file found: ${relativePath} (processing not implemented yet)`);
+        const content = fs.readFileSync(fullPath, 'utf8');
+
+        // Only DocFx ManagedReference files describe APIs; toc.yml and friends are skipped
+        if (!/^###\s*YamlMime:ManagedReference/m.test(content)) {
+            return;
+        }
+
+        let data;
+        try {
+            data = yaml.load(content);
+        } catch (error) {
+            console.error(`❌ Failed to parse YAML: ${relativePath}`, error.message);
+            return;
+        }
+
+        const apiDocs = this.extractApiDocsFromYaml(data);
+
+        for (const apiDoc of apiDocs) {
+            const breadcrumbKey = this.addApiDocument(apiDoc, {
+                keyPrefix: 'docs.docfx.api',
+                path: relativePath,
+                fullPath: fullPath,
+                size: Buffer.byteLength(content, 'utf8'),
+                tags: ['api', 'docfx']
+            });
+            console.log(`✅ ${breadcrumbKey} (API: ${apiDoc.fullName})`);
+        }
+    }
+
+    addApiDocument(apiDoc, source) {
+        let breadcrumbKey = `${source.keyPrefix}.${apiDoc.fullName.toLowerCase()}`;
+
+        // Overloads and partial declarations share a full name
+        if (this.unifiedDocument.documents[breadcrumbKey]) {
+            let suffix = 2;
+            while (this.unifiedDocument.documents[`${breadcrumbKey}-${suffix}`]) suffix++;
+            breadcrumbKey = `${breadcrumbKey}-${suffix}`;
+        }
+
+        const frontmatter = {
+            namespace: apiDoc.namespace,
+            class: apiDoc.className,
+            type: apiDoc.kind
+        };
+        if (apiDoc.kind === 'method' || apiDoc.kind === 'constructor' || apiDoc.kind === 'operator') {
+            frontmatter.method = apiDoc.name;
+        } else if (apiDoc.memberOf) {
+            frontmatter.property = apiDoc.name;
+        }
+        if (apiDoc.deprecated) frontmatter.deprecated = true;
+        if (apiDoc.experimental) frontmatter.experimental = true;
+
+        this.addDocument({
+            key: breadcrumbKey,
+            title: apiDoc.displayName || apiDoc.name,
+            type: 'api',
+            path: source.path,
+            line: apiDoc.line || null,
+            lineEnd: apiDoc.lineEnd || null,
+            size: source.size,
+            lastModified: fs.statSync(source.fullPath).mtime.toISOString(),
+
+            frontmatter: frontmatter,
+            xmlComment: apiDoc.summary,
+            tags: [...source.tags, apiDoc.kind],
+
+            sections: this.buildApiSections(apiDoc),
+            codeBlocks: apiDoc.examples
+                .filter(example => example.code)
+                .map(example => ({ language: 'csharp', code: example.code, lineStart: apiDoc.line || null, lineEnd: apiDoc.line || null })),
+            apiReferences: apiDoc.crefs,
+            // crefs resolve like code inside the declaring type
+            referenceContext: { namespaces: [apiDoc.memberOf || apiDoc.fullName], usings: source.usings || [], lines: {} },
+            links: apiDoc.crefs.map(cref => ({ text: cref, url: cref, type: 'cref' })),
+
+            // API specific data
+            fullName: apiDoc.fullName,
+            memberOf: apiDoc.memberOf,
+            accessibility: apiDoc.accessibility || null,
+            signature: apiDoc.signature,
+            parameters: apiDoc.parameters,
+            typeParameters: apiDoc.typeParameters,
+            returnType: apiDoc.returnType,
+            returns: apiDoc.returns || apiDoc.value || null,
+            exceptions: apiDoc.exceptions,
+            inheritDoc: apiDoc.inheritDoc || null,
+            hierarchy: apiDoc.hierarchy || null,
+
+            searchTerms: [apiDoc.name, apiDoc.fullName, apiDoc.namespace, apiDoc.className]
+                .filter(Boolean)
+        });
+        this.stats.codeBlocks += apiDoc.examples.length;
+
+        return breadcrumbKey;
+    }
+
+    buildApiSections(apiDoc) {
+        const sections = [];
+        const slugger = new HeadingSlugger();
+        const addSection = (heading, sectionContent, codeBlocks = []) => {
+            if (!sectionContent && codeBlocks.length === 0) return;
+            sections.push({
+                id: slugger.slug(heading),
+                heading: heading,
+                level: 2,
+                fullHeading: `## ${heading}`,
+                content: sectionContent || '',
+                codeBlocks: codeBlocks,
+                apiReferences: this.extractApiReferences(sectionContent || ''),
+                lineStart: apiDoc.line || 1
+            });
+        };
+
+        addSection('Summary', apiDoc.summary);
+        addSection('Remarks', apiDoc.remarks);
+        addSection('Type Parameters', apiDoc.typeParameters
+            .map(typeParam => `- \`${typeParam.name}\`: ${typeParam.description || ''}`.trim()).join('\n'));
+        addSection('Parameters', apiDoc.parameters
+            .map(param => `- \`${param.name}\`${param.type ? ` (${param.type})` : ''}: ${param.description || ''}`.trim())
+            .join('\n'));
+        addSection('Value', apiDoc.value);
+        addSection('Returns', apiDoc.returns);
+        addSection('Exceptions', apiDoc.exceptions
+            .map(exception => `- \`${exception.type}\`: ${exception.description}`).join('\n'));
+        if (apiDoc.hierarchy) {
+            addSection('Inheritance', [
+                ...apiDoc.hierarchy.inheritance.map(uid => `- Inherits \`${uid}\``),
+                ...apiDoc.hierarchy.implements.map(uid => `- Implements \`${uid}\``),
+                ...apiDoc.hierarchy.derivedClasses.map(uid => `- Derived by \`${uid}\``)
+            ].join('\n'));
+        }
+        addSection('Examples', apiDoc.examples.map(example => example.text).filter(Boolean).join('\n\n'),
+            apiDoc.examples.map(example => example.code).filter(Boolean));
+
+        return sections;
     }
 
     parseMarkdownSections(content) {
         const sections = [];
+        const slugger = new HeadingSlugger();
         const lines = content.split('\n');
         let currentSection = null;
 
@@ -306,7 +1007,7 @@ class UnifiedDocumentationBuilder {
 
                 // Start new section
                 currentSection = {
-                    id: this.generateSectionId(headingMatch[2]),
+                    id: slugger.slug(headingMatch[2]),
                     heading: headingMatch[2],
                     level: headingMatch[1].length,
                     fullHeading: line,
@@ -341,7 +1042,7 @@ class UnifiedDocumentationBuilder {
         return sections;
     }
 
-    extractAllCodeBlocks(content) {
+    extractAllCodeBlocks(content, lineOffset = 0) {
         const codeBlocks = [];
         const lines = content.split('\n');
 
@@ -351,9 +1052,10 @@ class UnifiedDocumentationBuilder {
                 if (codeBlock) {
                     codeBlocks.push({
                         language: codeBlock.language,
+                        flags: codeBlock.flags,
                         code: codeBlock.code,
-                        lineStart: i + 1,
-                        lineEnd: codeBlock.endIndex + 1
+                        lineStart: i + 1 + lineOffset,
+                        lineEnd: codeBlock.endIndex + 1 + lineOffset
                     });
                     i = codeBlock.endIndex;
                 }
@@ -365,7 +1067,8 @@ class UnifiedDocumentationBuilder {
 
     extractCodeBlockFromLines(lines, startIndex) {
         const startLine = lines[startIndex].trim();
-        const language = startLine.substring(3).trim() || 'text';
+        // Info string: language followed by flags, e.g. ```csharp no-check
+        const [language = 'text', ...flags] = startLine.substring(3).trim().split(/\s+/).filter(Boolean);
         const codeLines = [];
         let i = startIndex + 1;
 
@@ -377,6 +1080,7 @@ class UnifiedDocumentationBuilder {
         if (i < lines.length) {
             return {
                 language: language,
+                flags: flags,
                 code: codeLines.join('\n'),
                 endIndex: i
             };
@@ -401,226 +1105,964 @@ class UnifiedDocumentationBuilder {
         return Array.from(apiRefs);
     }
 
-    extractMarkdownLinks(content) {
+    extractMarkdownLinks(content, lineOffset = 0) {
         const links = [];
+        const lines = content.split('\n');
+        let inCodeBlock = false;
 
-        // Extract markdown links [text](url)
-        const linkPattern = /\[([^\]]+)\]\(([^)]+)\)/g;
-        let match;
-
-        while ((match = linkPattern.exec(content)) !== null) {
-            links.push({
-                text: match[1],
-                url: match[2],
-                type: this.determineLinkType(match[2])
-            });
+        for (let i = 0; i < lines.length; i++) {
+            // Links inside fenced code are sample text, not navigation
+            if (lines[i].trim().startsWith('```')) {
+                inCodeBlock = !inCodeBlock;
+                continue;
+            }
+            if (inCodeBlock) continue;
+
+            // Extract markdown links [text](url)
+            const linkPattern = /\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+            let match;
+
+            while ((match = linkPattern.exec(lines[i])) !== null) {
+                links.push({
+                    text: match[1],
+                    url: match[2],
+                    type: this.determineLinkType(match[2]),
+                    line: i + 1 + lineOffset
+                });
+            }
         }
 
         return links;
     }
 
-    extractCSharpClasses(content) {
-        const classes = [];
-        const classPattern = /(?:public|internal|private|protected)?\s*(?:static|abstract|sealed)?\s*class\s+(\w+)/g;
-        let match;
-
-        while ((match = classPattern.exec(content)) !== null) {
-            classes.push(match[1]);
-        }
-
-        return classes;
+    extractCSharpApiDocs(parsed) {
+        // Only documented symbols visible outside the assembly become API documents
+        return parsed.symbols
+            .filter(symbol => symbol.docComment && symbol.effectiveAccessibility === 'public' && !symbol.explicitInterface)
+            .map(symbol => this.buildCSharpApiDoc(symbol, symbol.docComment));
     }
 
-    extractCSharpMethods(content) {
-        const methods = [];
-        const methodPattern = /(?:public|internal|private|protected)?\s*(?:static|virtual|override|abstract)?\s*\w+\s+(\w+)\s*\(/g;
-        let match;
+    buildCSharpApiDoc(symbol, rawComment) {
+        const comment = this.parseXmlDocComment(rawComment);
+        const { namespace, containingTypes } = symbol;
+        const memberOf = symbol.kind === 'class' || symbol.kind === 'struct' || symbol.kind === 'interface'
+            || symbol.kind === 'enum' || symbol.kind.startsWith('record') || symbol.kind === 'delegate'
+            ? null
+            : containingTypes.join('.');
+        const className = memberOf ? containingTypes[containingTypes.length - 1] : symbol.name;
+
+        const parameters = symbol.parameters.map(param => ({
+            ...param,
+            description: comment.params[param.name] || null
+        }));
+
+        return {
+            name: symbol.name,
+            displayName: symbol.displayName,
+            fullName: symbol.fullName,
+            namespace: namespace,
+            className: className,
+            memberOf: memberOf ? [namespace, memberOf].filter(Boolean).join('.') : null,
+            kind: symbol.kind,
+            line: symbol.lineStart,
+            lineEnd: symbol.lineEnd,
+            accessibility: symbol.accessibility,
+            rawComment: rawComment,
+            signature: symbol.signature,
+            parameters: parameters,
+            typeParameters: symbol.typeParameters.map(typeParam => ({
+                name: typeParam.name,
+                description: comment.typeParams[typeParam.name] || null,
+                constraints: typeParam.constraints
+            })),
+            returnType: symbol.returnType,
+            summary: comment.summary,
+            remarks: comment.remarks,
+            returns: comment.returns,
+            value: comment.value,
+            exceptions: comment.exceptions,
+            examples: comment.examples,
+            crefs: comment.crefs,
+            inheritDoc: comment.inheritDoc,
+            // [Obsolete] and [Experimental], with or without namespace and Attribute suffix
+            deprecated: symbol.attributes.some(attribute => /(^|[\s,.])Obsolete(Attribute)?\b/.test(attribute)),
+            experimental: symbol.attributes.some(attribute => /(^|[\s,.])Experimental(Attribute)?\b/.test(attribute))
+        };
+    }
 
-        while ((match = methodPattern.exec(content)) !== null) {
-            // Filter out constructors and common keywords
-            if (!['if', 'for', 'while', 'using', 'return'].includes(match[1])) {
-                methods.push(match[1]);
+    parseXmlDocComment(rawComment) {
+        const crefs = new Set();
+        const getElements = (tag) => {
+            const pattern = new RegExp(`<${tag}(\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+            const elements = [];
+            let match;
+            while ((match = pattern.exec(rawComment)) !== null) {
+                elements.push({ attributes: this.parseXmlAttributes(match[1] || ''), inner: match[2] });
             }
-        }
+            return elements;
+        };
+        const renderText = (inner) => this.renderXmlDocText(inner, crefs);
 
-        return [...new Set(methods)]; // Remove duplicates
-    }
+        const summary = getElements('summary')[0];
+        const remarks = getElements('remarks')[0];
+        const returns = getElements('returns')[0];
+        const value = getElements('value')[0];
 
-    extractCSharpUsings(content) {
-        const usings = [];
-        const usingPattern = /using\s+([^;]+);/g;
-        let match;
+        const params = {};
+        getElements('param').forEach(param => {
+            params[param.attributes.name] = renderText(param.inner);
+        });
+
+        const typeParams = {};
+        getElements('typeparam').forEach(typeParam => {
+            typeParams[typeParam.attributes.name] = renderText(typeParam.inner);
+        });
+
+        const exceptions = getElements('exception').map(exception => {
+            const type = this.normalizeCref(exception.attributes.cref || '');
+            if (type) crefs.add(type);
+            return { type, description: renderText(exception.inner) };
+        });
+
+        const examples = getElements('example').map(example => {
+            const codeMatch = example.inner.match(/<code(?:\s[^>]*)?>([\s\S]*?)<\/code>/);
+            return {
+                text: renderText(example.inner.replace(/<code(?:\s[^>]*)?>[\s\S]*?<\/code>/g, '')),
+                code: codeMatch ? this.dedentText(this.decodeXmlEntities(codeMatch[1])) : null
+            };
+        });
 
-        while ((match = usingPattern.exec(content)) !== null) {
-            usings.push(match[1].trim());
+        const seeAlsoPattern = /<seealso\s+cref="([^"]+)"\s*\/?>/g;
+        let seeAlso;
+        while ((seeAlso = seeAlsoPattern.exec(rawComment)) !== null) {
+            crefs.add(this.normalizeCref(seeAlso[1]));
         }
 
-        return usings;
+        const inheritDocMatch = rawComment.match(/<inheritdoc(?:\s+cref="([^"]+)")?\s*\/?>/);
+
+        return {
+            summary: summary ? renderText(summary.inner) : '',
+            remarks: remarks ? renderText(remarks.inner) : '',
+            returns: returns ? renderText(returns.inner) : '',
+            value: value ? renderText(value.inner) : '',
+            params,
+            typeParams,
+            exceptions,
+            examples,
+            crefs: Array.from(crefs),
+            inheritDoc: inheritDocMatch
+                ? { cref: inheritDocMatch[1] ? this.normalizeCref(inheritDocMatch[1]) : null }
+                : null
+        };
     }
 
-    extractApiDocsFromXml(xmlData) {
-        // This would parse DocFx XML structure
-        // Implementation depends on your specific DocFx XML format
-        return [];
+    renderXmlDocText(inner, crefs) {
+        // Only known doc tags are rewritten; generic text like List<float> is left alone
+        const text = inner
+            .replace(/<see\s+cref="([^"]+)"\s*\/>/g, (match, cref) => {
+                const normalized = this.normalizeCref(cref);
+                crefs.add(normalized);
+                return `\`${normalized}\``;
+            })
+            .replace(/<see\s+cref="([^"]+)"\s*>([\s\S]*?)<\/see>/g, (match, cref, label) => {
+                crefs.add(this.normalizeCref(cref));
+                return label;
+            })
+            .replace(/<see\s+langword="([^"]+)"\s*\/>/g, '`$1`')
+            .replace(/<see\s+href="([^"]+)"\s*\/>/g, '<$1>')
+            .replace(/<see\s+href="([^"]+)"\s*>([\s\S]*?)<\/see>/g, '[$2]($1)')
+            .replace(/<(?:paramref|typeparamref)\s+name="([^"]+)"\s*\/>/g, '`$1`')
+            .replace(/<c>([\s\S]*?)<\/c>/g, '`$1`')
+            .replace(/<code(?:\s[^>]*)?>([\s\S]*?)<\/code>/g, (match, code) => `\n\`\`\`csharp\n${this.dedentText(code)}\n\`\`\`\n`)
+            .replace(/<para>|<\/para>|<para\s*\/>/g, '\n\n')
+            .replace(/<item>\s*(?:<term>([\s\S]*?)<\/term>)?\s*(?:<description>([\s\S]*?)<\/description>)?\s*<\/item>/g,
+                (match, term, description) => `\n- ${[term, description].filter(Boolean).map(part => part.trim()).join(': ')}`)
+            .replace(/<\/?list(?:\s[^>]*)?>|<\/?listheader>/g, '\n');
+
+        return this.dedentText(this.decodeXmlEntities(text)).replace(/\n{3,}/g, '\n\n').trim();
     }
 
-    buildCrossReferences() {
-        console.log('🔗 Building cross-references...');
-
-        const crossRefs = {};
+    parseXmlAttributes(attributeText) {
+        const attributes = {};
+        const attributePattern = /(\w+)="([^"]*)"/g;
+        let match;
 
-        // Find all API references across documents
-        Object.values(this.unifiedDocument.documents).forEach(doc => {
-            doc.apiReferences.forEach(apiRef => {
-                if (!crossRefs[apiRef]) {
-                    crossRefs[apiRef] = {
-                        definition: null,
-                        references: []
-                    };
-                }
+        while ((match = attributePattern.exec(attributeText)) !== null) {
+            attributes[match[1]] = match[2];
+        }
 
-                crossRefs[apiRef].references.push({
-                    documentKey: doc.key,
-                    documentTitle: doc.title,
-                    context: 'usage'
-                });
-            });
+        return attributes;
+    }
 
-            // Check if this document IS the definition of an API
-            if (doc.type === 'api' || doc.type === 'source') {
-                const apiName = this.extractApiNameFromDocument(doc);
-                if (apiName && crossRefs[apiName]) {
-                    crossRefs[apiName].definition = {
-                        documentKey: doc.key,
-                        documentTitle: doc.title
-                    };
-                }
-            }
-        });
+    normalizeCref(cref) {
+        // Drop documentation ID prefixes such as T: and M:, parameter lists and generic arity
+        return cref
+            .replace(/^[A-Z]:/, '')
+            .replace(/\(.*\)$/, '')
+            .replace(/\{[^}]*\}/g, '')
+            .replace(/`+\d+/g, '')
+            .trim();
+    }
 
-        this.unifiedDocument.crossReferences = crossRefs;
-        this.stats.crossRefs = Object.keys(crossRefs).length;
+    decodeXmlEntities(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&amp;/g, '&');
     }
 
-    buildSearchIndex() {
-        console.log('🔍 Building search index...');
+    dedentText(text) {
+        const lines = text.replace(/^\n+|\s+$/g, '').split('\n');
+        const indents = lines
+            .filter(line => line.trim().length > 0)
+            .map(line => line.match(/^\s*/)[0].length);
+        const minIndent = indents.length > 0 ? Math.min(...indents) : 0;
 
-        const termIndex = {};
-        const breadcrumbs = [];
+        return lines.map(line => line.slice(minIndent).trimEnd()).join('\n');
+    }
 
-        Object.values(this.unifiedDocument.documents).forEach(doc => {
-            try {
-                // Add breadcrumb
-                breadcrumbs.push(doc.key);
-
-                // Ensure searchTerms is an array
-                const searchTerms = Array.isArray(doc.searchTerms) ? doc.searchTerms : [];
-
-                // Index search terms
-                searchTerms.forEach(term => {
-                    if (term && typeof term === 'string') {
-                        const termLower = term.toLowerCase().trim();
-                        if (termLower.length > 0) {
-                            this.addToTermIndex(termIndex, termLower, doc.key, this.calculateTermScore(term, doc));
-                        }
-                    }
-                });
+    extractApiDocsFromXml(xmlData, rawXml) {
+        // Compiler-generated XML documentation: <doc><assembly/><members><member name="T:..."/></members></doc>
+        if (!xmlData || !xmlData.doc || !xmlData.doc.members) {
+            return [];
+        }
 
-                // Index title words
-                if (doc.title && typeof doc.title === 'string') {
-                    doc.title.split(/\s+/).forEach(word => {
-                        const wordLower = word.toLowerCase().trim();
-                        if (wordLower.length > 2 && /^[a-zA-Z0-9]+$/.test(wordLower)) {
-                            this.addToTermIndex(termIndex, wordLower, doc.key, 50);
-                        }
-                    });
-                }
+        const members = (xmlData.doc.members[0] && xmlData.doc.members[0].member) || [];
+        const memberIds = members.map(member => member.$ && member.$.name).filter(Boolean);
 
-                // Index API references
-                if (doc.apiReferences && Array.isArray(doc.apiReferences)) {
-                    doc.apiReferences.forEach(apiRef => {
-                        if (apiRef && typeof apiRef === 'string') {
-                            const apiLower = apiRef.toLowerCase().trim();
-                            if (apiLower.length > 0) {
-                                this.addToTermIndex(termIndex, apiLower, doc.key, 40);
-
-                                // Also index parts of the API reference
-                                const parts = apiRef.split('.');
-                                parts.forEach(part => {
-                                    const partLower = part.toLowerCase().trim();
-                                    if (partLower.length > 2) {
-                                        this.addToTermIndex(termIndex, partLower, doc.key, 30);
-                                    }
-                                });
-                            }
-                        }
-                    });
-                }
+        // xml2js flattens mixed content, so the comment bodies come from the raw text
+        const rawMembers = {};
+        const memberPattern = /<member\s+name="([^"]+)"\s*>([\s\S]*?)<\/member>/g;
+        let match;
+        while ((match = memberPattern.exec(rawXml)) !== null) {
+            rawMembers[match[1]] = match[2];
+        }
 
-            } catch (error) {
-                console.error(`❌ Error indexing document ${doc.key}:`, error.message);
+        const typeNames = new Set(memberIds
+            .filter(id => id.startsWith('T:'))
+            .map(id => this.normalizeCref(id)));
+        const kinds = { T: 'type', M: 'method', P: 'property', F: 'field', E: 'event', N: 'namespace' };
+        const apiDocs = [];
+
+        for (const id of memberIds) {
+            const prefix = id.charAt(0);
+            if (!kinds[prefix]) continue;
+
+            const comment = this.parseXmlDocComment(rawMembers[id] || '');
+            const qualifiedName = this.normalizeCref(id);
+            const segments = qualifiedName.split('.');
+
+            // Walk up past containing types to find the namespace
+            let typeEnd = prefix === 'T' || prefix === 'N' ? segments.length - 1 : segments.length - 2;
+            let namespaceEnd = typeEnd;
+            while (namespaceEnd > 0 && typeNames.has(segments.slice(0, namespaceEnd).join('.'))) {
+                namespaceEnd--;
             }
-        });
 
-        // Sort term references by score and remove duplicates
-        Object.keys(termIndex).forEach(term => {
-            if (Array.isArray(termIndex[term])) {
-                // Remove duplicate document references
-                const seen = new Set();
-                termIndex[term] = termIndex[term].filter(item => {
-                    const key = item.documentKey;
-                    if (seen.has(key)) {
-                        return false;
+            const isMember = prefix !== 'T' && prefix !== 'N';
+            const typeName = isMember ? segments[segments.length - 2] : segments[segments.length - 1];
+            const isConstructor = prefix === 'M' && segments[segments.length - 1] === '#ctor';
+            const name = isConstructor ? typeName : segments[segments.length - 1];
+            const namespace = prefix === 'N' ? qualifiedName : segments.slice(0, namespaceEnd).join('.');
+            const fullName = isConstructor
+                ? [...segments.slice(0, -1), typeName].join('.')
+                : qualifiedName;
+
+            const paramTypes = this.parseDocIdParameters(id);
+            const paramNames = Object.keys(comment.params);
+            const parameters = paramTypes.map((type, index) => ({
+                name: paramNames[index] || `arg${index}`,
+                type: type,
+                modifiers: [],
+                defaultValue: null,
+                description: comment.params[paramNames[index]] || null
+            }));
+
+            const kind = isConstructor ? 'constructor' : kinds[prefix];
+            const displayName = prefix === 'M' ? `${name}(${paramTypes.join(', ')})` : name;
+
+            apiDocs.push({
+                name: name,
+                displayName: displayName,
+                fullName: fullName,
+                namespace: namespace,
+                className: prefix === 'N' ? null : typeName,
+                memberOf: isMember ? segments.slice(0, -1).join('.') : null,
+                kind: kind,
+                signature: prefix === 'M' ? displayName : fullName,
+                parameters: parameters,
+                typeParameters: Object.entries(comment.typeParams).map(([typeParam, description]) => ({ name: typeParam, description })),
+                returnType: null,
+                summary: comment.summary,
+                remarks: comment.remarks,
+                returns: comment.returns,
+                value: comment.value,
+                exceptions: comment.exceptions,
+                examples: comment.examples,
+                crefs: comment.crefs,
+                inheritDoc: comment.inheritDoc,
+                hierarchy: prefix === 'T'
+                    ? {
+                        inheritance: [],
+                        implements: [],
+                        derivedClasses: [],
+                        children: memberIds
+                            .filter(childId => !childId.startsWith('T:') && this.normalizeCref(childId).startsWith(`${qualifiedName}.`))
+                            .map(childId => this.normalizeCref(childId).replace(/\.#ctor$/, `.${name}`))
                     }
-                    seen.add(key);
-                    return true;
-                });
+                    : null
+            });
+        }
 
-                // Sort by score
-                termIndex[term].sort((a, b) => b.score - a.score);
+        return apiDocs;
+    }
+
+    parseDocIdParameters(id) {
+        const paramMatch = id.match(/\((.*)\)$/);
+        if (!paramMatch) return [];
+
+        const parameters = [];
+        let depth = 0;
+        let current = '';
+
+        for (const ch of paramMatch[1]) {
+            if (ch === '{') depth++;
+            if (ch === '}') depth--;
+            if (ch === ',' && depth === 0) {
+                parameters.push(current);
+                current = '';
             } else {
-                console.warn(`⚠️  Term index for '${term}' is not an array:`, termIndex[term]);
-                termIndex[term] = [];
+                current += ch;
             }
-        });
-
-        this.unifiedDocument.searchIndex = {
-            terms: termIndex,
-            breadcrumbs: breadcrumbs.sort()
-        };
+        }
+        if (current) parameters.push(current);
 
-        console.log(`✅ Search index built: ${Object.keys(termIndex).length} terms, ${breadcrumbs.length} breadcrumbs`);
+        // Doc IDs spell generics with braces and ref parameters with @
+        return parameters.map(param => param.replace(/\{/g, '<').replace(/\}/g, '>').replace(/@$/, '').trim());
     }
 
-    addToTermIndex(termIndex, term, documentKey, score) {
-        if (!termIndex[term]) {
-            termIndex[term] = [];
+    extractApiDocsFromYaml(data) {
+        // DocFx ManagedReference: items[] describe symbols, references[] give display names for uids
+        if (!data || !Array.isArray(data.items)) {
+            return [];
         }
 
-        // Ensure it's an array
-        if (!Array.isArray(termIndex[term])) {
-            console.warn(`⚠️  Fixing non-array term index for '${term}'`);
-            termIndex[term] = [];
+        const referenceNames = {};
+        (data.references || []).forEach(reference => {
+            if (reference.uid) {
+                referenceNames[reference.uid] = reference.fullName || reference.name || reference.uid;
+            }
+        });
+        const itemNames = {};
+        data.items.forEach(item => {
+            if (item.uid) itemNames[item.uid] = item.name;
+        });
+        const displayType = (uid) => (uid ? referenceNames[uid] || uid.replace(/\{/g, '<').replace(/\}/g, '>') : null);
+        const typeKinds = ['class', 'struct', 'interface', 'enum', 'delegate', 'namespace'];
+
+        return data.items.filter(item => item.uid).map(item => {
+            const crefs = new Set();
+            const renderText = (text) => this.renderDocFxText(text || '', crefs);
+            const kind = (item.type || 'type').toLowerCase();
+            const isMember = !typeKinds.includes(kind);
+            const syntax = item.syntax || {};
+            const name = (item.name || item.id || item.uid).replace(/\(.*\)$/, '');
+            const fullName = this.normalizeCref(item.uid).replace(/\.#ctor$/, `.${itemNames[item.parent] || name}`);
+
+            const exceptions = (item.exceptions || []).map(exception => {
+                const type = this.normalizeCref(exception.type || '');
+                if (type) crefs.add(type);
+                return { type, description: renderText(exception.description) };
+            });
+
+            (item.seealso || []).forEach(seeAlso => {
+                if (seeAlso.linkId) crefs.add(this.normalizeCref(seeAlso.linkId));
+            });
+
+            const examples = (item.example || []).map(example => {
+                const codeMatch = example.match(/<pre><code[^>]*>([\s\S]*?)<\/code><\/pre>/) || example.match(/```\w*\n([\s\S]*?)```/);
+                return {
+                    text: renderText(example.replace(/<pre><code[^>]*>[\s\S]*?<\/code><\/pre>|```\w*\n[\s\S]*?```/g, '')),
+                    code: codeMatch ? this.dedentText(this.decodeXmlEntities(codeMatch[1])) : null
+                };
+            });
+
+            return {
+                name: kind === 'constructor' ? itemNames[item.parent] || name : name,
+                displayName: item.name || name,
+                fullName: fullName,
+                namespace: item.namespace || (kind === 'namespace' ? item.uid : ''),
+                className: kind === 'namespace' ? null : (isMember ? itemNames[item.parent] || (item.parent || '').split('.').pop() : name),
+                memberOf: isMember ? item.parent || null : null,
+                kind: kind,
+                signature: syntax.content || null,
+                parameters: (syntax.parameters || []).map(param => ({
+                    name: param.id,
+                    type: displayType(param.type),
+                    modifiers: [],
+                    defaultValue: param.defaultValue !== undefined ? String(param.defaultValue) : null,
+                    description: renderText(param.description) || null
+                })),
+                typeParameters: (syntax.typeParameters || []).map(typeParam => ({
+                    name: typeParam.id,
+                    description: renderText(typeParam.description) || null
+                })),
+                returnType: syntax.return ? displayType(syntax.return.type) : null,
+                summary: renderText(item.summary),
+                remarks: renderText(item.remarks),
+                returns: syntax.return ? renderText(syntax.return.description) : '',
+                value: '',
+                exceptions: exceptions,
+                examples: examples,
+                crefs: Array.from(crefs),
+                inheritDoc: null,
+                hierarchy: isMember
+                    ? null
+                    : {
+                        inheritance: (item.inheritance || []).map(displayType),
+                        implements: (item.implements || []).map(displayType),
+                        derivedClasses: (item.derivedClasses || []).map(displayType),
+                        children: (item.children || []).map(child => this.normalizeCref(child))
+                    }
+            };
+        });
+    }
+
+    renderDocFxText(text, crefs) {
+        // DocFx pre-renders comments to HTML with <xref> placeholders for cross-references
+        const rendered = String(text)
+            .replace(/<xref\s+href="([^"]+)"[^>]*>(?:<\/xref>)?/g, (match, uid) => {
+                const normalized = this.normalizeCref(decodeURIComponent(uid));
+                crefs.add(normalized);
+                return `\`${normalized}\``;
+            })
+            .replace(/<pre><code(?:\s+class="lang-(\w+)")?[^>]*>([\s\S]*?)<\/code><\/pre>/g,
+                (match, language, code) => `\n\`\`\`${language || 'csharp'}\n${this.dedentText(code)}\n\`\`\`\n`)
+            .replace(/<code>([\s\S]*?)<\/code>/g, '`$1`')
+            .replace(/<\/?p>/g, '\n\n')
+            .replace(/<li>/g, '\n- ')
+            .replace(/<\/li>|<\/?ul>|<\/?ol>/g, '\n');
+
+        return this.dedentText(this.decodeXmlEntities(rendered)).replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    // Commit dates survive a clone, file mtimes do not; files edited since their last commit keep the mtime
+    applyGitHistory() {
+        if (!this.options.gitHistory) return;
+
+        if (!this.gitHistory.load().available) {
+            console.log('⚠️  No git history found, lastModified falls back to file times');
+            return;
         }
 
-        termIndex[term].push({
-            documentKey: documentKey,
-            score: score
+        let dated = 0;
+        Object.values(this.unifiedDocument.documents).forEach(doc => {
+            const commit = this.gitHistory.lastCommit(doc.path);
+            doc.lastCommit = commit;
+            if (commit && !this.gitHistory.isModified(doc.path)) {
+                doc.lastModified = commit.date;
+                dated++;
+            }
+        });
+        console.log(`🕓 Dated ${dated} documents from git history`);
+    }
+
+    // docs/projects/Rac.ECS.md is stale when src/Rac.ECS moved on long after the page's last commit
+    checkDocFreshness() {
+        this.unifiedDocument.diagnostics = this.unifiedDocument.diagnostics
+            .filter(diagnostic => diagnostic.rule !== 'stale-doc');
+        if (!this.options.gitHistory || !this.gitHistory.available) return;
+
+        const maxLag = this.options.staleDocDays * 24 * 60 * 60 * 1000;
+        const checked = new Set();
+
+        Object.values(this.unifiedDocument.documents).forEach(doc => {
+            const match = doc.path.replace(/\\/g, '/').match(/^docs\/projects\/(Rac\.[^/]+)\.md$/);
+            if (!match || checked.has(doc.path) || !doc.lastCommit || this.gitHistory.isModified(doc.path)) return;
+            checked.add(doc.path);
+
+            const sourceCommit = this.gitHistory.latestUnder(`src/${match[1]}/`);
+            const lag = sourceCommit ? new Date(sourceCommit.date) - new Date(doc.lastCommit.date) : 0;
+            if (lag <= maxLag) return;
+
+            const days = Math.round(lag / (24 * 60 * 60 * 1000));
+            this.unifiedDocument.diagnostics.push({
+                rule: 'stale-doc',
+                severity: 'warning',
+                path: doc.path,
+                line: 1,
+                project: match[1],
+                days,
+                documentCommit: doc.lastCommit,
+                sourceCommit,
+                message: `src/${match[1]} changed ${days} days after this page (${sourceCommit.date.slice(0, 10)} in ${sourceCommit.path}, page last updated ${doc.lastCommit.date.slice(0, 10)})`
+            });
         });
     }
 
-    calculateTermScore(term, doc) {
-        let score = 10; // Base score
+    enrichApiDocumentsFromSource() {
+        // Compiler XML and some DocFx output lack return types; borrow them from the parsed sources
+        const sourceApis = {};
+        Object.values(this.unifiedDocument.documents).forEach(doc => {
+            if (doc.type === 'api' && doc.fullName && doc.tags.includes('csharp')) {
+                (sourceApis[doc.fullName] = sourceApis[doc.fullName] || []).push(doc);
+            }
+        });
+
+        let enriched = 0;
+        Object.values(this.unifiedDocument.documents).forEach(doc => {
+            if (doc.type !== 'api' || !doc.tags.includes('docfx') || !sourceApis[doc.fullName]) return;
+
+            const match = sourceApis[doc.fullName].find(source => source.parameters.length === doc.parameters.length);
+            if (!match) return;
+
+            if (!doc.returnType) doc.returnType = match.returnType;
+            if (doc.frontmatter.type === 'type') {
+                doc.frontmatter.type = match.frontmatter.type;
+            }
+            if (!doc.signature || doc.signature === doc.title || doc.signature === doc.fullName) {
+                doc.signature = match.signature;
+            }
+            doc.parameters.forEach((param, index) => {
+                if (!param.type) param.type = match.parameters[index].type;
+            });
+            doc.sourceDefinition = match.key;
+            enriched++;
+        });
+
+        if (enriched > 0) {
+            console.log(`🧩 Enriched ${enriched} DocFx API documents from source declarations`);
+        }
+    }
+
+    buildCrossReferences() {
+        console.log('🔗 Building cross-references...');
+
+        const crossRefs = {};
+        const documents = Object.values(this.unifiedDocument.documents);
+
+        // Every document is resolved against every symbol; watch mode patches the result instead
+        this.referenceResolver.index(this.unifiedDocument.documents);
+        this.unifiedDocument.diagnostics = this.unifiedDocument.diagnostics
+            .filter(diagnostic => diagnostic.rule !== 'api-reference');
+
+        // Find all API references across documents
+        const counts = { resolved: 0, unresolved: 0, ambiguous: 0 };
+        documents.forEach(doc => this.addDocumentReferences(crossRefs, doc, counts));
+
+        // Definitions run as a second pass so they do not depend on document order
+        documents.forEach(doc => this.assignDefinition(crossRefs, doc));
+
+        // Declarations in the C# sources; symbols without an API document are defined by their source file
+        Object.keys(crossRefs).forEach(apiName => this.assignDeclaration(crossRefs, apiName));
+
+        this.processors
+            .filter(processor => typeof processor.crossReferences === 'function')
+            .forEach(processor => processor.crossReferences(crossRefs, this));
+
+        this.unifiedDocument.crossReferences = crossRefs;
+        this.stats.crossRefs = Object.keys(crossRefs).length;
+        console.log(`🔗 Resolved ${counts.resolved} references, ${counts.unresolved} unresolved, ${counts.ambiguous} ambiguous`);
+    }
+
+    // Watch mode: re-resolve the changed documents and the documents that name symbols of the changed files
+    patchCrossReferences(removedDocs, addedDocs) {
+        const crossRefs = this.unifiedDocument.crossReferences;
+        const documents = this.unifiedDocument.documents;
+
+        // The symbol table is rebuilt from the parsed symbols, which is cheap; resolving is what costs
+        this.referenceResolver.index(documents);
+
+        // World, Core.World and Rac.ECS.Core.World may all resolve to a changed Rac.ECS.Core.World
+        const changedSymbols = new Set([...removedDocs, ...addedDocs].flatMap(doc => (doc.symbols || []).map(symbol => symbol.fullName)));
+        const changedNames = new Set();
+        changedSymbols.forEach(fullName => {
+            const parts = fullName.split('.');
+            parts.forEach((part, index) => changedNames.add(parts.slice(index).join('.')));
+        });
+        const namesChangedSymbol = (name) => {
+            const text = name.replace(/^global::/, '').replace(/<[^<>]*>/g, '').replace(/\(\)$/, '');
+            return changedNames.has(text) || changedNames.has(text.split('.')[0]);
+        };
+
+        const addedKeys = new Set(addedDocs.map(doc => doc.key));
+        const affected = changedSymbols.size === 0 ? [] : Object.values(documents).filter(doc => !addedKeys.has(doc.key)
+            && ((doc.references || []).some(name => changedSymbols.has(name)) || (doc.apiReferences || []).some(namesChangedSymbol)));
+
+        // Drop what the stale documents contributed; removeFileRecord already dropped the changed files' problems
+        const staleKeys = new Set([...removedDocs, ...affected].map(doc => doc.key));
+        const affectedKeys = new Set(affected.map(doc => doc.key));
+        const touched = new Set(changedSymbols);
+        [...removedDocs, ...affected].forEach(doc => {
+            const hierarchy = doc.hierarchy ? [...doc.hierarchy.inheritance, ...doc.hierarchy.implements] : [];
+            [...(doc.references || []), ...hierarchy].forEach(apiName => touched.add(apiName));
+        });
+        touched.forEach(apiName => {
+            const entry = crossRefs[apiName];
+            if (!entry) return;
+            entry.references = entry.references
+                .filter(ref => !staleKeys.has(ref.documentKey) || !RESOLVED_CONTEXTS.includes(ref.context));
+        });
+        Object.entries(crossRefs).forEach(([apiName, entry]) => {
+            if (entry.definition && staleKeys.has(entry.definition.documentKey) && !affectedKeys.has(entry.definition.documentKey)) {
+                entry.definition = null;
+                touched.add(apiName);
+            }
+        });
+        this.unifiedDocument.diagnostics = this.unifiedDocument.diagnostics
+            .filter(diagnostic => diagnostic.rule !== 'api-reference' || !affectedKeys.has(diagnostic.documentKey));
+
+        const counts = { resolved: 0, unresolved: 0, ambiguous: 0 };
+        const resolving = [...addedDocs, ...affected];
+        resolving.forEach(doc => {
+            this.addDocumentReferences(crossRefs, doc, counts);
+            const hierarchy = doc.hierarchy ? [...doc.hierarchy.inheritance, ...doc.hierarchy.implements] : [];
+            [...doc.references, ...hierarchy].forEach(apiName => touched.add(apiName));
+        });
+
+        // A dropped definition may still come from another API document (DocFx and source)
+        Object.values(documents).forEach(doc => {
+            const apiName = this.extractApiNameFromDocument(doc);
+            if (apiName && (addedKeys.has(doc.key) || touched.has(apiName))) {
+                touched.add(apiName);
+                this.assignDefinition(crossRefs, doc);
+            }
+        });
+        touched.forEach(apiName => {
+            if (crossRefs[apiName]) this.assignDeclaration(crossRefs, apiName);
+        });
+
+        // Processor hooks look at the whole tree, so their links are rebuilt like the changelog's
+        Object.entries(crossRefs).forEach(([apiName, entry]) => {
+            const kept = entry.references.filter(ref => RESOLVED_CONTEXTS.includes(ref.context) || ref.context === 'changelog' || ref.context === 'sample');
+            if (kept.length === entry.references.length) return;
+            entry.references = kept;
+            touched.add(apiName);
+        });
+        this.processors
+            .filter(processor => typeof processor.crossReferences === 'function')
+            .forEach(processor => processor.crossReferences(crossRefs, this));
+
+        // Only API documents define names nobody references
+        touched.forEach(apiName => {
+            const entry = crossRefs[apiName];
+            const definedBy = entry && entry.definition && documents[entry.definition.documentKey];
+            if (entry && entry.references.length === 0 && !(definedBy && definedBy.type === 'api')) {
+                delete crossRefs[apiName];
+            }
+        });
+
+        this.stats.crossRefs = Object.keys(crossRefs).length;
+        console.log(`🔗 Re-resolved ${resolving.length} documents: ${counts.resolved} references, ${counts.unresolved} unresolved, ${counts.ambiguous} ambiguous`);
+    }
+
+    buildChangelog() {
+        const crossRefs = this.unifiedDocument.crossReferences;
+
+        // Changelog links are derived from the whole release list, so they are rebuilt rather than patched
+        Object.entries(crossRefs).forEach(([apiName, entry]) => {
+            entry.references = entry.references.filter(ref => ref.context !== 'changelog');
+            if (!entry.definition && entry.references.length === 0) {
+                delete crossRefs[apiName];
+            }
+        });
+
+        const changelog = this.changelogIndex.build(this.unifiedDocument.documents, crossRefs);
+
+        changelog.releases.forEach(release => {
+            const documentTitle = this.unifiedDocument.documents[release.documentKey].title;
+            const apiNames = new Set(Object.values(release.changes).flat().flatMap(entry => entry.apis));
+
+            apiNames.forEach(apiName => {
+                this.ensureCrossReference(crossRefs, apiName).references.push({
+                    documentKey: release.documentKey,
+                    documentTitle,
+                    context: 'changelog',
+                    version: release.version
+                });
+            });
+        });
+
+        this.unifiedDocument.changelog = changelog;
+        this.stats.crossRefs = Object.keys(crossRefs).length;
+    }
+
+    // Project and package references from RACEngine.sln and the .csproj files
+    buildProjectGraph() {
+        const projectGraph = new ProjectGraph({
+            rootDir: this.options.rootDir,
+            excludeDirectories: this.options.excludeDirectories,
+            ...(this.options.projectLayers ? { layers: this.options.projectLayers } : {})
+        });
+        const graph = projectGraph.build();
+        this.unifiedDocument.projects = graph;
+
+        console.log(`🧩 ${Object.keys(graph.projects).length} projects, ${graph.edges.length} project references, ${graph.cycles.length} cycles, ${graph.violations.length} layering violations`);
+    }
+
+    // One sample document per samples/<Name> project; like changelog links they are derived, so rebuilt whole
+    buildSampleCatalog() {
+        const documents = this.unifiedDocument.documents;
+        const crossRefs = this.unifiedDocument.crossReferences;
+
+        const removed = Object.values(documents).filter(doc => doc.sample);
+        removed.forEach(doc => delete documents[doc.key]);
+        Object.entries(crossRefs).forEach(([apiName, entry]) => {
+            entry.references = entry.references.filter(ref => ref.context !== 'sample');
+            if (!entry.definition && entry.references.length === 0) {
+                delete crossRefs[apiName];
+            }
+        });
+
+        const added = this.sampleCatalog.build(documents, crossRefs, this.unifiedDocument.projects)
+            .filter(sample => {
+                if (!documents[sample.key]) return true;
+                console.log(`⚠️  Sample ${sample.key} skipped: ${documents[sample.key].path} already uses that key`);
+                return false;
+            });
+
+        added.forEach(sample => {
+            documents[sample.key] = sample;
+            sample.sample.apis.forEach(apiName => {
+                this.ensureCrossReference(crossRefs, apiName).references.push({
+                    documentKey: sample.key,
+                    documentTitle: sample.title,
+                    context: 'sample'
+                });
+            });
+        });
+
+        console.log(`🧪 ${added.length} samples using ${new Set(added.flatMap(sample => sample.sample.apis)).size} engine APIs`);
+        return { removed, added };
+    }
+
+    // prerequisites / nextSteps / seeAlso / relatedConcepts frontmatter resolved to document keys
+    buildLearningGraph() {
+        const learningGraph = new LearningGraph({
+            rootDir: this.options.rootDir,
+            paths: this.options.learningPaths
+        });
+        const graph = learningGraph.build(this.unifiedDocument.documents);
+        this.unifiedDocument.learningGraph = graph;
+
+        console.log(`🧭 ${graph.edges.length} learning links, ${graph.paths.length} learning paths, ${graph.unresolved.length} unresolved, ${graph.cycles.length} prerequisite cycles`);
+    }
+
+    writeDependencyDiagrams() {
+        const { diagrams } = this.unifiedDocument.projects;
+        if (!diagrams.mermaid) return;
+
+        fs.writeFileSync(`${this.options.dependencyGraphFile}.mmd`, diagrams.mermaid);
+        fs.writeFileSync(`${this.options.dependencyGraphFile}.dot`, diagrams.dot);
+    }
+
+    ensureCrossReference(crossRefs, apiName) {
+        if (!crossRefs[apiName]) {
+            crossRefs[apiName] = {
+                definition: null,
+                references: []
+            };
+        }
+        return crossRefs[apiName];
+    }
+
+    addDocumentReferences(crossRefs, doc, counts) {
+        const resolvedNames = new Set();
+
+        this.referenceResolver.resolveDocument(doc).forEach(reference => {
+            if (reference.status === 'unresolved' || reference.status === 'ambiguous') {
+                counts[reference.status]++;
+                this.unifiedDocument.diagnostics.push({
+                    rule: 'api-reference',
+                    severity: 'warning',
+                    status: reference.status,
+                    documentKey: doc.key,
+                    path: doc.path,
+                    line: reference.line,
+                    name: reference.name,
+                    candidates: reference.candidates,
+                    message: reference.status === 'ambiguous'
+                        ? `Ambiguous reference ${reference.name}: ${reference.candidates.join(', ')}`
+                        : `Unresolved reference ${reference.name}`
+                });
+                return;
+            }
+            if (reference.status !== 'resolved' || resolvedNames.has(reference.fullName)) return;
+
+            // A file naming its own declarations is not a usage
+            resolvedNames.add(reference.fullName);
+            const declaration = this.referenceResolver.findDeclaration(reference.fullName);
+            if (declaration && declaration.documentKey === doc.key) return;
+
+            counts.resolved++;
+            this.ensureCrossReference(crossRefs, reference.fullName).references.push({
+                documentKey: doc.key,
+                documentTitle: doc.title,
+                context: 'usage',
+                line: reference.line
+            });
+        });
+        doc.references = Array.from(resolvedNames).sort();
+
+        // Base types and interfaces from DocFx type hierarchies
+        if (doc.hierarchy) {
+            doc.hierarchy.inheritance.forEach(baseType => {
+                this.ensureCrossReference(crossRefs, baseType).references.push({ documentKey: doc.key, documentTitle: doc.title, context: 'inheritance' });
+            });
+            doc.hierarchy.implements.forEach(interfaceType => {
+                this.ensureCrossReference(crossRefs, interfaceType).references.push({ documentKey: doc.key, documentTitle: doc.title, context: 'implementation' });
+            });
+        }
+    }
+
+    assignDeclaration(crossRefs, apiName) {
+        const entry = crossRefs[apiName];
+        const declaration = this.referenceResolver.findDeclaration(apiName);
+        if (!declaration) {
+            delete entry.source;
+            return;
+        }
+
+        entry.source = { documentKey: declaration.documentKey, path: declaration.path, line: declaration.line };
+        if (!entry.definition) {
+            entry.definition = {
+                documentKey: declaration.documentKey,
+                documentTitle: this.unifiedDocument.documents[declaration.documentKey].title
+            };
+        }
+    }
+
+    assignDefinition(crossRefs, doc) {
+        if (doc.type !== 'api' && doc.type !== 'source') return;
+
+        const apiName = this.extractApiNameFromDocument(doc);
+        if (apiName && (doc.type === 'api' || crossRefs[apiName])) {
+            const entry = this.ensureCrossReference(crossRefs, apiName);
+            if (!entry.definition) {
+                entry.definition = {
+                    documentKey: doc.key,
+                    documentTitle: doc.title
+                };
+            }
+        }
+    }
+
+    buildSearchIndex() {
+        console.log('🔍 Building search index...');
+
+        // Null-prototype map so terms like "constructor" don't collide with Object.prototype
+        const searchIndex = {
+            terms: Object.create(null),
+            lengths: {},
+            breadcrumbs: []
+        };
+
+        Object.values(this.unifiedDocument.documents).forEach(doc => {
+            searchIndex.breadcrumbs.push(doc.key);
+            this.addDocumentToSearchIndex(searchIndex, doc);
+        });
 
-        if (doc.type === 'api') score += 30;
-        if (doc.title.toLowerCase().includes(term.toLowerCase())) score += 20;
-        if (doc.tags.includes(term.toLowerCase())) score += 15;
+        searchIndex.breadcrumbs.sort();
+        this.unifiedDocument.searchIndex = searchIndex;
 
-        return score;
+        console.log(`✅ Search index built: ${Object.keys(searchIndex.terms).length} terms, ${Object.keys(searchIndex.lengths).length} sections, ${searchIndex.breadcrumbs.length} breadcrumbs`);
+    }
+
+    addDocumentToSearchIndex(searchIndex, doc) {
+        this.collectDocumentTerms(doc).forEach((unit, unitId) => {
+            searchIndex.lengths[unitId] = unit.length;
+
+            unit.terms.forEach((frequency, term) => {
+                if (!searchIndex.terms[term]) {
+                    searchIndex.terms[term] = {};
+                }
+                searchIndex.terms[term][unitId] = frequency;
+            });
+        });
+    }
+
+    removeDocumentFromSearchIndex(searchIndex, doc) {
+        this.collectDocumentTerms(doc).forEach((unit, unitId) => {
+            delete searchIndex.lengths[unitId];
+
+            unit.terms.forEach((frequency, term) => {
+                const postings = searchIndex.terms[term];
+                if (!postings) return;
+
+                delete postings[unitId];
+                if (Object.keys(postings).length === 0) {
+                    delete searchIndex.terms[term];
+                }
+            });
+        });
+    }
+
+    collectDocumentTerms(doc) {
+        // Search units: the document itself (title, names, summary) plus one per section,
+        // keyed "<document key>" and "<document key>#<section index>" so hits can point at a section
+        const units = new Map();
+        const weights = this.options.searchWeights;
+        const createUnit = (unitId) => {
+            const unit = { terms: new Map(), length: 0 };
+            units.set(unitId, unit);
+            return unit;
+        };
+        const addText = (unit, text, weight) => {
+            this.searchTokenizer.tokenize(text).forEach(term => {
+                unit.terms.set(term, (unit.terms.get(term) || 0) + weight);
+                unit.length++;
+            });
+        };
+        const strings = (values) => (Array.isArray(values) ? values : [])
+            .filter(value => typeof value === 'string');
+
+        try {
+            const documentUnit = createUnit(doc.key);
+            const frontmatter = doc.frontmatter || {};
+
+            addText(documentUnit, doc.title, weights.title);
+            addText(documentUnit, doc.fullName, weights.keywords);
+            strings(doc.searchTerms).concat(strings(doc.tags))
+                .forEach(term => addText(documentUnit, term, weights.keywords));
+            addText(documentUnit, frontmatter.summary || doc.xmlComment, weights.summary);
+            strings(doc.apiReferences).forEach(ref => addText(documentUnit, ref, weights.content));
+
+            (doc.sections || []).forEach((section, index) => {
+                const sectionUnit = createUnit(`${doc.key}#${index}`);
+
+                addText(sectionUnit, section.heading, weights.heading);
+                addText(sectionUnit, section.content, weights.content);
+                (section.codeBlocks || []).forEach(block => {
+                    addText(sectionUnit, typeof block === 'string' ? block : block.code, weights.code);
+                });
+            });
+
+            // Plugin text lands on the document or on one of its sections
+            this.processors
+                .filter(processor => typeof processor.searchTerms === 'function')
+                .forEach(processor => processor.searchTerms(doc, (text, field = 'content', sectionIndex = null) => {
+                    const unitId = sectionIndex === null ? doc.key : `${doc.key}#${sectionIndex}`;
+                    addText(units.get(unitId) || createUnit(unitId), text, weights[field] || weights.content);
+                }));
+        } catch (error) {
+            console.error(`❌ Error indexing document ${doc.key}:`, error.message);
+        }
+
+        // Sections without a single indexable word only bloat the length table
+        units.forEach((unit, unitId) => {
+            if (unit.length === 0) units.delete(unitId);
+        });
+
+        return units;
     }
 
     extractApiNameFromDocument(doc) {
         // Extract the main API name this document defines
+        if (doc.type === 'api' && doc.fullName) {
+            return doc.fullName;
+        }
         if (doc.type === 'api' && doc.frontmatter.class) {
             return `${doc.frontmatter.namespace}.${doc.frontmatter.class}`;
         }
@@ -635,14 +2077,6 @@ class UnifiedDocumentationBuilder {
             .toLowerCase();
     }
 
-    generateSectionId(headingText) {
-        return headingText
-            .toLowerCase()
-            .replace(/[^a-z0-9\s-]/g, '')
-            .replace(/\s+/g, '-')
-            .trim();
-    }
-
     generateTitleFromPath(filePath) {
         const basename = path.basename(filePath).replace(/\.(md|cs|xml)$/, '');
         return basename
@@ -653,10 +2087,15 @@ class UnifiedDocumentationBuilder {
 
     determineDocumentType(filePath, frontmatter) {
         if (frontmatter.type) return frontmatter.type;
+
+        const rule = this.typeRules.find(candidate => candidate.matches(filePath.replace(/\\/g, '/')));
+        if (rule) return rule.type;
+
         if (filePath.includes('/api/')) return 'api';
         if (filePath.includes('/samples/')) return 'sample';
         if (filePath.includes('/codesamples/')) return 'codesample';
         if (filePath.includes('/tutorials/')) return 'tutorial';
+        if (this.changelogIndex.isChangelogPath(filePath)) return 'changelog';
         if (filePath.endsWith('.cs')) return 'source';
         return 'documentation';
     }
@@ -664,7 +2103,7 @@ class UnifiedDocumentationBuilder {
     determineLinkType(url) {
         if (url.startsWith('http')) return 'external';
         if (url.startsWith('#')) return 'anchor';
-        if (url.endsWith('.md')) return 'document';
+        if (url.split('#')[0].endsWith('.md')) return 'document';
         return 'other';
     }
 
@@ -673,10 +2112,10 @@ class UnifiedDocumentationBuilder {
 
         // Add frontmatter terms
         if (frontmatter.tags) {
-            frontmatter.tags.forEach(tag => terms.add(tag));
+            [].concat(frontmatter.tags).forEach(tag => terms.add(tag));
         }
         if (frontmatter.keywords) {
-            frontmatter.keywords.forEach(keyword => terms.add(keyword));
+            [].concat(frontmatter.keywords).forEach(keyword => terms.add(keyword));
         }
 
         // Extract API references
@@ -697,13 +2136,209 @@ class UnifiedDocumentationBuilder {
             fs.mkdirSync(outputDir, { recursive: true });
         }
 
+        if (this.options.format === 'html') {
+            await this.writeStaticSite();
+            return;
+        }
+
+        if (this.options.shard) {
+            await this.writeShardedOutput();
+            return;
+        }
+
         const jsonOutput = JSON.stringify(this.unifiedDocument, null, 2);
-        fs.writeFileSync(this.options.outputFile, jsonOutput);
+        await this.writeOutputFile(this.options.outputFile, jsonOutput);
 
         const sizeKB = Math.round(Buffer.byteLength(jsonOutput, 'utf8') / 1024);
         console.log(`💾 Written to ${this.options.outputFile} (${sizeKB} KB)`);
     }
 
+    async writeShardedOutput() {
+        const outputDir = path.dirname(this.options.outputFile);
+        const baseName = path.basename(this.options.outputFile, '.json');
+        const shardDirName = `${baseName}.shards`;
+        const shardDir = path.join(outputDir, shardDirName);
+        const indexFileName = `${baseName}.search.json`;
+        const crossReferencesFileName = `${baseName}.xrefs.json`;
+        const diagnosticsFileName = `${baseName}.diagnostics.json`;
+
+        if (!fs.existsSync(shardDir)) {
+            fs.mkdirSync(shardDir, { recursive: true });
+        }
+
+        // The manifest keeps everything the viewer needs before a document is opened; cross-references
+        // and diagnostics are only read with an open document or by the validator, so they get files of their own
+        const manifest = {
+            metadata: { ...this.unifiedDocument.metadata, format: 'sharded', shardMode: this.options.shard },
+            documents: {},
+            shards: {},
+            crossReferences: { file: crossReferencesFileName },
+            changelog: this.unifiedDocument.changelog,
+            projects: this.unifiedDocument.projects,
+            learningGraph: this.unifiedDocument.learningGraph,
+            searchIndex: { file: indexFileName },
+            diagnostics: { file: diagnosticsFileName }
+        };
+
+        const writtenFiles = new Set();
+        let shardBytes = 0;
+        let changedShards = 0;
+
+        for (const [shardName, docs] of this.groupDocumentsIntoShards()) {
+            const fileName = `${shardName}.json`;
+            const shardPath = path.join(shardDir, fileName);
+            const documents = {};
+            docs.forEach(doc => {
+                documents[doc.key] = doc;
+                manifest.documents[doc.key] = this.summarizeDocument(doc, shardName);
+            });
+
+            const shardOutput = JSON.stringify({ documents });
+            const hash = crypto.createHash('sha1').update(shardOutput).digest('hex');
+            shardBytes += Buffer.byteLength(shardOutput, 'utf8');
+            writtenFiles.add(fileName);
+
+            // Watch rebuilds only touch the shards whose documents changed
+            if (this.shardHashes.get(shardPath) !== hash || !fs.existsSync(shardPath)) {
+                await this.writeOutputFile(shardPath, shardOutput);
+                this.shardHashes.set(shardPath, hash);
+                changedShards++;
+            }
+
+            manifest.shards[shardName] = {
+                file: `${shardDirName}/${fileName}`,
+                documents: docs.map(doc => doc.key)
+            };
+        }
+
+        this.removeStaleShards(shardDir, writtenFiles);
+
+        const indexOutput = JSON.stringify(this.compactSearchIndex(this.unifiedDocument.searchIndex));
+        await this.writeOutputFile(path.join(outputDir, indexFileName), indexOutput);
+        const crossReferencesOutput = JSON.stringify(this.unifiedDocument.crossReferences);
+        await this.writeOutputFile(path.join(outputDir, crossReferencesFileName), crossReferencesOutput);
+        await this.writeOutputFile(path.join(outputDir, diagnosticsFileName), JSON.stringify(this.unifiedDocument.diagnostics));
+
+        const manifestOutput = JSON.stringify(manifest);
+        await this.writeOutputFile(this.options.outputFile, manifestOutput);
+
+        const sizeKB = (bytes) => Math.round(bytes / 1024);
+        console.log(`💾 Written manifest to ${this.options.outputFile} (${sizeKB(Buffer.byteLength(manifestOutput, 'utf8'))} KB)`);
+        console.log(`💾 Written search index to ${indexFileName} (${sizeKB(Buffer.byteLength(indexOutput, 'utf8'))} KB)`);
+        console.log(`💾 Written cross-references to ${crossReferencesFileName} (${sizeKB(Buffer.byteLength(crossReferencesOutput, 'utf8'))} KB)`);
+        console.log(`💾 Written ${changedShards} of ${writtenFiles.size} shards to ${shardDirName}/ (${sizeKB(shardBytes)} KB total)`);
+    }
+
+    async writeStaticSite() {
+        const exporter = new StaticSiteExporter({
+            outputDir: this.options.outputFile,
+            writeFile: (filePath, content) => this.writeOutputFile(filePath, content)
+        });
+
+        await exporter.export(this.unifiedDocument);
+    }
+
+    groupDocumentsIntoShards() {
+        const shards = new Map();
+        const shardNameFor = (doc) => {
+            if (this.options.shard === 'directory') {
+                const directory = path.posix.dirname((doc.path || '').replace(/\\/g, '/'));
+                return directory === '.' ? 'root' : directory.replace(/\//g, '.').toLowerCase();
+            }
+            return doc.key;
+        };
+
+        Object.values(this.unifiedDocument.documents)
+            .sort((a, b) => a.key.localeCompare(b.key))
+            .forEach(doc => {
+                // Keys and paths become file names, so keep them to a portable character set
+                const shardName = shardNameFor(doc).replace(/[^A-Za-z0-9._-]/g, '_');
+                if (!shards.has(shardName)) {
+                    shards.set(shardName, []);
+                }
+                shards.get(shardName).push(doc);
+            });
+
+        return shards;
+    }
+
+    summarizeDocument(doc, shardName) {
+        return {
+            key: doc.key,
+            title: doc.title,
+            type: doc.type,
+            path: doc.path,
+            tags: doc.tags,
+            frontmatter: Object.fromEntries(FACET_FIELDS
+                .filter(field => doc.frontmatter && doc.frontmatter[field] !== undefined)
+                .map(field => [field, doc.frontmatter[field]])),
+            shard: shardName,
+            sections: (doc.sections || []).map(section => ({
+                id: section.id,
+                heading: section.heading,
+                level: section.level
+            })),
+            codeBlockCount: (doc.codeBlocks || []).length,
+            ...(doc.sample ? { sample: doc.sample } : {})
+        };
+    }
+
+    compactSearchIndex(searchIndex) {
+        // Section ids become array positions and postings flat [unit, frequency, ...] pairs
+        const units = Object.keys(searchIndex.lengths);
+        const unitPositions = new Map(units.map((unitId, position) => [unitId, position]));
+        const terms = {};
+
+        Object.keys(searchIndex.terms).sort().forEach(term => {
+            terms[term] = [];
+            Object.entries(searchIndex.terms[term]).forEach(([unitId, frequency]) => {
+                terms[term].push(unitPositions.get(unitId), frequency);
+            });
+        });
+
+        return {
+            units,
+            lengths: units.map(unitId => searchIndex.lengths[unitId]),
+            terms,
+            breadcrumbs: searchIndex.breadcrumbs
+        };
+    }
+
+    removeStaleShards(shardDir, writtenFiles) {
+        fs.readdirSync(shardDir).forEach(fileName => {
+            const shardFile = fileName.replace(/\.(gz|br)$/, '');
+            if (!writtenFiles.has(shardFile)) {
+                fs.unlinkSync(path.join(shardDir, fileName));
+                this.shardHashes.delete(path.join(shardDir, shardFile));
+            }
+        });
+    }
+
+    async writeOutputFile(filePath, content) {
+        fs.writeFileSync(filePath, content);
+
+        // Pre-compressed variants for docs-server and static hosts that serve them as-is;
+        // stale variants are removed so they can never shadow a newer uncompressed file
+        const variants = {
+            [`${filePath}.gz`]: () => gzip(content, { level: zlib.constants.Z_BEST_COMPRESSION }),
+            [`${filePath}.br`]: () => brotliCompress(content, {
+                params: {
+                    [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+                    [zlib.constants.BROTLI_PARAM_QUALITY]: this.options.brotliQuality,
+                    [zlib.constants.BROTLI_PARAM_SIZE_HINT]: Buffer.byteLength(content, 'utf8')
+                }
+            })
+        };
+
+        for (const [variantPath, compress] of Object.entries(variants)) {
+            if (this.options.compress) {
+                fs.writeFileSync(variantPath, await compress());
+            } else if (fs.existsSync(variantPath)) {
+                fs.unlinkSync(variantPath);
+            }
+        }
+    }
+
     printStats() {
         console.log('\n📊 Build Statistics:');
         console.log(`   📄 Documents processed: ${this.stats.processed}`);
@@ -711,34 +2346,182 @@ class UnifiedDocumentationBuilder {
         console.log(`   📋 Total documents: ${Object.keys(this.unifiedDocument.documents).length}`);
         console.log(`   💻 Code blocks: ${this.stats.codeBlocks}`);
         console.log(`   🔗 Cross-references: ${this.stats.crossRefs}`);
+        console.log(`   📦 Changelog releases: ${this.unifiedDocument.changelog.releases.length}`);
+        console.log(`   🧩 Projects: ${Object.keys(this.unifiedDocument.projects.projects).length} (diagrams: ${this.options.dependencyGraphFile}.mmd, .dot)`);
+        console.log(`   🧪 Samples: ${Object.values(this.unifiedDocument.documents).filter(doc => doc.sample).length}`);
+        console.log(`   🧭 Learning paths: ${this.unifiedDocument.learningGraph.paths.map(learningPath => `${learningPath.title} (${learningPath.steps.length})`).join(', ') || 'none'}`);
         console.log(`   🔍 Search terms: ${Object.keys(this.unifiedDocument.searchIndex.terms).length}`);
+        console.log(`   🧾 Frontmatter problems: ${this.stats.frontmatterProblems}`);
+        if (this.options.cache) {
+            console.log(`   ♻️  Files reused from cache: ${this.stats.cached}`);
+        }
+    }
+
+    reportApiCoverage() {
+        const coverage = new ApiCoverageReport({ thresholds: this.options.coverageThresholds });
+        const report = coverage.build(this.unifiedDocument.documents);
+
+        fs.writeFileSync(this.options.coverageFile, JSON.stringify(report, null, 2));
+        coverage.printTable(report);
+        console.log(`   📄 Coverage report: ${this.options.coverageFile}`);
+
+        return coverage.checkThresholds(report);
     }
 
     startWatching() {
         console.log('\n👀 Watching for changes...');
 
+        // Every extension some processor handles; isDocumentationSource narrows it down per change
+        const extensions = [...new Set(this.processors.flatMap(processor => processor.extensions))]
+            .map(extension => extension.replace(/^\./, ''));
         const watchPaths = this.options.directories.map(dir =>
-            path.resolve(this.options.rootDir, dir, '**/*.{md,cs,xml,yml,yaml}')
+            path.resolve(this.options.rootDir, dir, `**/*.${extensions.length > 1 ? `{${extensions.join(',')}}` : extensions[0]}`)
+        );
+        // Project files are no documents, but the project graph and the sample catalog are built from them
+        watchPaths.push(
+            path.resolve(this.options.rootDir, '*.sln'),
+            ...this.options.directories.map(dir => path.resolve(this.options.rootDir, dir, '**/*.csproj'))
         );
 
-        const watcher = chokidar.watch(watchPaths, {
+        this.watcher = chokidar.watch(watchPaths, {
             ignoreInitial: true,
-            ignored: /(^|[\/\\])\../ // Ignore dotfiles
+            ignored: [
+                /(^|[\/\\])\../, // Ignore dotfiles
+                (watchedPath) => path.relative(path.resolve(this.options.rootDir), watchedPath)
+                    .split(/[\/\\]/)
+                    .some(segment => this.options.excludeDirectories.includes(segment))
+            ]
         });
 
+        // Collect changed paths while debouncing so a burst of saves becomes one update
+        const pendingChanges = new Map();
         let buildTimeout;
-        const debouncedBuild = () => {
+        const queueChange = (event) => (filePath) => {
+            pendingChanges.set(filePath, event);
             clearTimeout(buildTimeout);
             buildTimeout = setTimeout(() => {
-                console.log('\n🔄 Files changed, rebuilding...');
-                this.build().catch(console.error);
+                const changes = new Map(pendingChanges);
+                pendingChanges.clear();
+                console.log(`\n🔄 ${changes.size} file(s) changed, updating...`);
+                this.updateQueue = this.updateQueue
+                    .then(() => this.applyChanges(changes))
+                    .catch(console.error);
             }, 500);
         };
 
-        watcher
-            .on('add', debouncedBuild)
-            .on('change', debouncedBuild)
-            .on('unlink', debouncedBuild);
+        this.watcher
+            .on('add', queueChange('add'))
+            .on('change', queueChange('change'))
+            .on('unlink', queueChange('unlink'));
+    }
+
+    async applyChanges(changes) {
+        const startTime = Date.now();
+        const rootDir = path.resolve(this.options.rootDir);
+
+        // Changes held back by a failed strict frontmatter check are applied with this pass
+        const deferred = this.deferredChanges || { removedDocs: [], addedDocs: [], updatedFiles: 0, projectsChanged: false };
+        this.deferredChanges = null;
+        const removedDocs = [...deferred.removedDocs];
+        let addedDocs = [...deferred.addedDocs];
+        let updatedFiles = deferred.updatedFiles;
+        let projectsChanged = deferred.projectsChanged;
+
+        for (const [fullPath, event] of changes) {
+            const relativePath = path.relative(rootDir, fullPath);
+            if (this.isProjectFile(relativePath)) {
+                projectsChanged = true;
+                continue;
+            }
+            if (!this.isDocumentationSource(relativePath)) continue;
+
+            const record = this.fileRecords[relativePath];
+            const exists = event !== 'unlink' && fs.existsSync(fullPath);
+            const hash = exists ? this.hashFile(fullPath) : null;
+
+            // Editors often rewrite files without changing them
+            if (record && record.hash === hash) continue;
+            if (!record && !exists) continue;
+
+            removedDocs.push(...this.removeFileRecord(relativePath));
+
+            if (exists) {
+                await this.processFile(fullPath, relativePath);
+                const newRecord = this.fileRecords[relativePath];
+                if (newRecord) {
+                    addedDocs.push(...newRecord.documentKeys.map(key => this.unifiedDocument.documents[key]));
+                }
+            }
+            updatedFiles++;
+        }
+
+        // A held-back document that was edited again has been replaced by its new version
+        addedDocs = addedDocs.filter(doc => this.unifiedDocument.documents[doc.key] === doc);
+
+        if (updatedFiles === 0 && !projectsChanged) {
+            console.log('✅ No content changes');
+            return;
+        }
+
+        this.stats.frontmatterProblems = this.unifiedDocument.diagnostics
+            .filter(diagnostic => diagnostic.rule === 'frontmatter-schema').length;
+        if (this.options.strictFrontmatter && this.stats.frontmatterProblems > 0) {
+            console.error(`❌ Frontmatter validation failed with ${this.stats.frontmatterProblems} problem(s); output not updated`);
+            this.deferredChanges = { removedDocs, addedDocs, updatedFiles, projectsChanged };
+            return;
+        }
+
+        this.applyGitHistory();
+        this.checkDocFreshness();
+        this.enrichApiDocumentsFromSource();
+        this.patchCrossReferences(removedDocs, addedDocs);
+        this.buildChangelog();
+        if (projectsChanged) {
+            this.buildProjectGraph();
+            this.writeDependencyDiagrams();
+        }
+        const samples = this.buildSampleCatalog();
+        removedDocs.push(...samples.removed);
+        addedDocs.push(...samples.added);
+        this.buildLearningGraph();
+        this.patchSearchIndex(removedDocs, addedDocs);
+
+        this.unifiedDocument.metadata.totalDocuments = Object.keys(this.unifiedDocument.documents).length;
+        this.unifiedDocument.metadata.buildTime = new Date().toISOString();
+
+        await this.writeOutput();
+        this.saveCache();
+
+        console.log(`✅ Updated ${updatedFiles} file(s): -${removedDocs.length} / +${addedDocs.length} documents in ${Date.now() - startTime} ms`);
+
+        // Watch mode keeps running; a coverage drop is reported rather than fatal
+        if (this.options.coverage) {
+            this.reportApiCoverage().forEach(failure => {
+                console.error(`❌ ${failure.kind} coverage ${failure.percent}% is below the ${failure.minimum}% threshold`);
+            });
+        }
+
+        // Tell open viewers which documents to refresh
+        if (this.server) {
+            this.server.notify('rebuild', {
+                buildTime: this.unifiedDocument.metadata.buildTime,
+                removed: removedDocs.map(doc => doc.key),
+                updated: addedDocs.map(doc => doc.key)
+            });
+        }
+    }
+
+    patchSearchIndex(removedDocs, addedDocs) {
+        const searchIndex = this.unifiedDocument.searchIndex;
+        const removedKeys = new Set(removedDocs.map(doc => doc.key));
+
+        removedDocs.forEach(doc => this.removeDocumentFromSearchIndex(searchIndex, doc));
+        addedDocs.forEach(doc => this.addDocumentToSearchIndex(searchIndex, doc));
+
+        searchIndex.breadcrumbs = searchIndex.breadcrumbs
+            .filter(key => !removedKeys.has(key))
+            .concat(addedDocs.map(doc => doc.key))
+            .sort();
     }
 }
 
@@ -746,6 +2529,8 @@ class UnifiedDocumentationBuilder {
 if (require.main === module) {
     const args = process.argv.slice(2);
     const options = {};
+    const configOptions = { configFile: null, profile: null };
+    let useConfig = true;
 
     for (let i = 0; i < args.length; i++) {
         switch (args[i]) {
@@ -761,10 +2546,77 @@ if (require.main === module) {
             case '--root':
                 options.rootDir = args[++i];
                 break;
+            case '--cache':
+                options.cache = true;
+                break;
+            case '--serve':
+                options.serve = true;
+                break;
+            case '--port':
+                options.port = Number(args[++i]);
+                break;
+            case '--host':
+                options.host = args[++i];
+                break;
+            case '--cache-file':
+                options.cacheFile = args[++i];
+                break;
+            case '--strict-frontmatter':
+                options.strictFrontmatter = true;
+                break;
+            case '--schema':
+                options.frontmatterSchema = args[++i];
+                break;
+            case '--shard':
+                // Optional value: --shard document | --shard directory
+                options.shard = ['document', 'directory'].includes(args[i + 1]) ? args[++i] : 'document';
+                break;
+            case '--compress':
+                options.compress = true;
+                break;
+            case '--format':
+                options.format = args[++i];
+                break;
+            case '--coverage':
+                options.coverage = true;
+                break;
+            case '--coverage-threshold':
+                options.coverageThresholds = ApiCoverageReport.parseThresholds(args[++i]);
+                break;
+            case '--stale-days':
+                options.staleDocDays = Number(args[++i]);
+                break;
+            case '--no-git':
+                options.gitHistory = false;
+                break;
+            case '--config':
+                configOptions.configFile = args[++i];
+                break;
+            case '--profile':
+                configOptions.profile = args[++i];
+                break;
+            case '--no-config':
+                useConfig = false;
+                break;
+            case '--plugin':
+                options.plugins = [...(options.plugins || []), args[++i]];
+                break;
         }
     }
 
-    const builder = new UnifiedDocumentationBuilder(options);
+    // Command line switches win over the profile, the profile over the base config
+    let config = { configFile: null, options: {} };
+    try {
+        if (useConfig) config = new DocsConfig().loadOptions(configOptions);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    if (config.configFile) {
+        console.log(`⚙️  Config: ${config.configFile}${configOptions.profile ? ` (profile: ${configOptions.profile})` : ''}`);
+    }
+
+    const builder = new UnifiedDocumentationBuilder({ ...config.options, ...options });
     builder.build().catch(error => {
         console.error('❌ Build failed:', error);
         process.exit(1);
@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+
+/**
+ * Changelog Index
+ *
+ * Parses changelog markdown into releases with Added/Changed/Fixed entries, orders them
+ * by semantic version and links each entry to the API names it mentions
+ * Usage: node changelog-index.js [--docs ./public/docs.json] [--version 0.7.0 | --touching Rac.ECS | --list]
+ */
+
+const fs = require('fs');
+
+// Section headings (per-version files) and entry labels (summary changelog) per category
+const CATEGORY_PATTERNS = [
+    ['added', /^(added|new)\b/i],
+    ['fixed', /^(bug\s*fix|fix)/i],
+    ['changed', /^(changed|changes|improve|breaking|major refactoring|removed|deprecat|performance improvements|updated|refactor)/i]
+];
+
+class ChangelogIndex {
+    constructor(changelog = null) {
+        this.changelog = changelog || { releases: [], apis: {} };
+    }
+
+    isChangelogPath(relativePath) {
+        const fileName = relativePath.replace(/\\/g, '/').split('/').pop();
+        return /^changelog([_-].+)?\.md$/i.test(fileName);
+    }
+
+    // Releases described by one changelog document: a per-version file yields one,
+    // the summary changelog one per "## Version x.y.z" heading
+    parseDocument(content, frontmatter, relativePath, lineOffset = 0) {
+        const lines = content.split('\n');
+        const fileName = relativePath.replace(/\\/g, '/').split('/').pop();
+        const fileVersion = this.parseVersion(fileName) && this.parseVersion(frontmatter.version || fileName);
+
+        if (fileVersion) {
+            return [this.parseReleaseFile(lines, frontmatter, fileVersion, lineOffset)];
+        }
+        return this.parseSummaryFile(lines, lineOffset);
+    }
+
+    parseReleaseFile(lines, frontmatter, version, lineOffset) {
+        const release = this.createRelease(version);
+        let category = null;
+        let group = null;
+
+        lines.forEach((line, index) => {
+            const titleMatch = line.match(/^#\s+.*?\d+\.\d+\S*\s+-\s+(.+)$/);
+            const dateMatch = line.match(/^Released:\s*(.+)$/i);
+            const sectionMatch = line.match(/^##\s+(.+)$/);
+            const groupMatch = line.match(/^###\s+(.+)$/);
+
+            if (titleMatch) {
+                release.title = titleMatch[1].trim();
+            } else if (dateMatch) {
+                release.date = dateMatch[1].trim();
+            } else if (sectionMatch) {
+                category = this.categorize(sectionMatch[1]);
+                group = null;
+                release.breaking = release.breaking || (category !== null && /breaking/i.test(sectionMatch[1]));
+            } else if (groupMatch) {
+                group = groupMatch[1].trim();
+            } else if (category) {
+                const text = this.parseListItem(line);
+                if (text) {
+                    release.changes[category].push({ text, group, line: index + 1 + lineOffset, apis: [] });
+                }
+            }
+        });
+
+        release.date = release.date || (frontmatter.last_updated ? String(frontmatter.last_updated) : null);
+        return release;
+    }
+
+    parseSummaryFile(lines, lineOffset) {
+        const releases = [];
+        let release = null;
+
+        lines.forEach((line, index) => {
+            const versionMatch = line.match(/^##\s+Version\s+(\S+)(?:\s+-\s+(.+?))?(?:\s+\(([^)]+)\))?\s*$/i);
+            if (versionMatch) {
+                const version = this.parseVersion(versionMatch[1]);
+                release = version ? this.createRelease(version) : null;
+                if (release) {
+                    release.title = versionMatch[2] || null;
+                    release.date = versionMatch[3] || null;
+                    releases.push(release);
+                }
+                return;
+            }
+
+            // * **Added**: Comprehensive XML documentation standards
+            const text = release && this.parseListItem(line);
+            const labelMatch = text && text.match(/^\*\*([^*]+)\*\*:?\s*(.+)$/);
+            const category = labelMatch && this.categorize(labelMatch[1]);
+            if (category) {
+                release.changes[category].push({ text: labelMatch[2].trim(), group: labelMatch[1].trim(), line: index + 1 + lineOffset, apis: [] });
+            }
+        });
+
+        return releases;
+    }
+
+    createRelease(version) {
+        return {
+            version,
+            title: null,
+            date: null,
+            breaking: false,
+            changes: { added: [], changed: [], fixed: [] }
+        };
+    }
+
+    categorize(heading) {
+        const match = CATEGORY_PATTERNS.find(([, pattern]) => pattern.test(heading.trim()));
+        return match ? match[0] : null;
+    }
+
+    parseListItem(line) {
+        // Top-level items only; nested bullets elaborate on their parent
+        const match = line.match(/^\s?(?:[*+-]|\d+\.)\s+(.+)$/);
+        return match ? match[1].trim() : null;
+    }
+
+    parseVersion(text) {
+        const match = String(text).match(/(\d+)\.(\d+)(?:\.(\d+))?(-[0-9A-Za-z.-]+)?/);
+        return match ? `${match[1]}.${match[2]}.${match[3] || 0}${match[4] || ''}` : null;
+    }
+
+    // Semantic version order: 0.10.0 after 0.9.0, and 1.0.0-beta before 1.0.0
+    compareVersions(a, b) {
+        const parse = (version) => {
+            const [core, prerelease] = version.split(/-(.*)/s);
+            return { numbers: core.split('.').map(Number), prerelease: prerelease || null };
+        };
+        const left = parse(a);
+        const right = parse(b);
+
+        for (let i = 0; i < 3; i++) {
+            const difference = (left.numbers[i] || 0) - (right.numbers[i] || 0);
+            if (difference !== 0) return difference;
+        }
+        if (left.prerelease === right.prerelease) return 0;
+        if (left.prerelease === null) return 1;
+        if (right.prerelease === null) return -1;
+        return left.prerelease.localeCompare(right.prerelease, undefined, { numeric: true });
+    }
+
+    // Aggregate all changelog documents, newest release first; per-version files win over the summary
+    build(documents, crossReferences) {
+        const releasesByVersion = new Map();
+        const changelogDocs = Object.values(documents)
+            .filter(doc => doc.type === 'changelog' && Array.isArray(doc.releases))
+            .sort((a, b) => a.releases.length - b.releases.length || a.key.localeCompare(b.key));
+
+        changelogDocs.forEach(doc => {
+            doc.releases.forEach(release => {
+                if (!releasesByVersion.has(release.version)) {
+                    releasesByVersion.set(release.version, { ...release, documentKey: doc.key });
+                }
+            });
+        });
+
+        const resolveName = this.createApiNameResolver(crossReferences);
+        const apis = {};
+        const releases = Array.from(releasesByVersion.values())
+            .sort((a, b) => this.compareVersions(b.version, a.version))
+            .map(release => {
+                const changes = {};
+                Object.entries(release.changes).forEach(([category, entries]) => {
+                    changes[category] = entries.map(entry => ({ ...entry, apis: this.findApiMentions(entry.text, resolveName) }));
+                });
+
+                Object.values(changes).flat().forEach(entry => {
+                    entry.apis.forEach(apiName => {
+                        apis[apiName] = apis[apiName] || [];
+                        if (!apis[apiName].includes(release.version)) apis[apiName].push(release.version);
+                    });
+                });
+
+                return { ...release, changes };
+            });
+
+        this.changelog = { releases, apis };
+        return this.changelog;
+    }
+
+    createApiNameResolver(crossReferences) {
+        const refs = crossReferences || {};
+        const isDefined = (apiName) => Boolean(refs[apiName] && refs[apiName].definition);
+
+        // Simple names (World, IComponent) map to a defined full name; types win over members
+        // that share the name (Rac.ECS.Core.World over IEngineFacade.World), ambiguity resolves to nothing
+        const candidatesBySimpleName = new Map();
+        Object.keys(refs).forEach(apiName => {
+            if (!isDefined(apiName) || !apiName.includes('.')) return;
+            const simpleName = apiName.split('.').pop();
+            if (!candidatesBySimpleName.has(simpleName)) candidatesBySimpleName.set(simpleName, []);
+            candidatesBySimpleName.get(simpleName).push(apiName);
+        });
+
+        return (name) => {
+            if (name.includes('.')) {
+                return refs[name] ? name : null;
+            }
+
+            const candidates = candidatesBySimpleName.get(name) || [];
+            const types = candidates.filter(apiName => !isDefined(apiName.slice(0, apiName.lastIndexOf('.'))));
+            if (types.length === 1) return types[0];
+            return candidates.length === 1 ? candidates[0] : null;
+        };
+    }
+
+    findApiMentions(text, resolveName) {
+        const mentions = new Set();
+        const candidates = [
+            // Rac.ECS.Core.World
+            ...(text.match(/\b[A-Z]\w*(?:\.[A-Z]\w*)+/g) || []),
+            // IComponent, EngineFacade
+            ...(text.match(/\b[A-Z]\w*[a-z]\w*?[A-Z]\w*/g) || []),
+            // World class, IRenderer interface
+            ...Array.from(text.matchAll(/\b([A-Z]\w+)\s+(?:class|interface|struct|enum|component)\b/g), match => match[1]),
+            ...Array.from(text.matchAll(/`([A-Za-z_][\w.]*)`/g), match => match[1])
+        ];
+
+        candidates.forEach(candidate => {
+            const apiName = resolveName(candidate);
+            if (apiName) mentions.add(apiName);
+        });
+
+        return Array.from(mentions).sort();
+    }
+
+    // Everything a release changed, by category
+    changesInVersion(version) {
+        const normalized = this.parseVersion(version);
+        return this.changelog.releases.find(release => release.version === normalized) || null;
+    }
+
+    // Releases with an entry that mentions the API, one of its members or anything in the namespace
+    releasesTouching(apiName) {
+        const touches = (name) => name === apiName || name.startsWith(`${apiName}.`);
+
+        return this.changelog.releases
+            .map(release => ({
+                version: release.version,
+                title: release.title,
+                entries: Object.entries(release.changes).flatMap(([category, entries]) => entries
+                    .filter(entry => entry.apis.some(touches))
+                    .map(entry => ({ category, text: entry.text, apis: entry.apis.filter(touches) })))
+            }))
+            .filter(release => release.entries.length > 0);
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    let docsFile = './public/docs.json';
+    let query = { type: 'list' };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--docs':
+                docsFile = args[++i];
+                break;
+            case '--version':
+                query = { type: 'version', value: args[++i] };
+                break;
+            case '--touching':
+                query = { type: 'touching', value: args[++i] };
+                break;
+            case '--list':
+                query = { type: 'list' };
+                break;
+        }
+    }
+
+    const docs = JSON.parse(fs.readFileSync(docsFile, 'utf8'));
+    const index = new ChangelogIndex(docs.changelog);
+
+    if (query.type === 'version') {
+        const release = index.changesInVersion(query.value);
+        if (!release) {
+            console.error(`❌ No release ${query.value} in ${docsFile}`);
+            process.exit(1);
+        }
+        console.log(`📦 ${release.version}${release.title ? ` - ${release.title}` : ''}${release.date ? ` (${release.date})` : ''}`);
+        Object.entries(release.changes).forEach(([category, entries]) => {
+            if (entries.length === 0) return;
+            console.log(`\n${category[0].toUpperCase()}${category.slice(1)}:`);
+            entries.forEach(entry => console.log(`   • ${entry.text}${entry.apis.length ? `  [${entry.apis.join(', ')}]` : ''}`));
+        });
+    } else if (query.type === 'touching') {
+        const releases = index.releasesTouching(query.value);
+        console.log(`🔎 ${releases.length} release(s) touched ${query.value}`);
+        releases.forEach(release => {
+            console.log(`\n📦 ${release.version}${release.title ? ` - ${release.title}` : ''}`);
+            release.entries.forEach(entry => console.log(`   • [${entry.category}] ${entry.text}`));
+        });
+    } else {
+        index.changelog.releases.forEach(release => {
+            const counts = Object.entries(release.changes).map(([category, entries]) => `${entries.length} ${category}`).join(', ');
+            console.log(`📦 ${release.version}${release.title ? ` - ${release.title}` : ''} (${counts})`);
+        });
+    }
+}
+
+module.exports = ChangelogIndex;
\ No newline at end of file
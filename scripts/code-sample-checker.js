@@ -0,0 +1,514 @@
+#!/usr/bin/env node
+
+/**
+ * Code Sample Checker
+ *
+ * Checks the C# code blocks in markdown documents against the symbols extracted from src/:
+ * engine namespaces, types and members a sample uses must still exist. Blocks opt out with
+ * an info-string flag (```csharp no-check).
+ * Usage: node code-sample-checker.js [--docs ./public/docs.json]
+ */
+
+const fs = require('fs');
+const CSharpParser = require('./csharp-parser');
+
+// Types a sample may use without them being declared in the engine (.NET, Silk.NET, test frameworks)
+const EXTERNAL_TYPE_NAMES = new Set([
+    'Action', 'Activator', 'ArgumentException', 'ArgumentNullException', 'ArgumentOutOfRangeException', 'Array',
+    'Assert', 'Attribute', 'BitConverter', 'Boolean', 'Buffer', 'CancellationToken', 'CancellationTokenSource',
+    'Color', 'ConcurrentDictionary', 'ConcurrentQueue', 'Console', 'ConsoleKey', 'Convert', 'DateTime', 'Debug',
+    'Delegate', 'Dictionary', 'Directory', 'Double', 'Encoding', 'Enum', 'Enumerable', 'Environment', 'EventArgs',
+    'EventHandler', 'Exception', 'Fact', 'File', 'FileNotFoundException', 'Func', 'GC', 'GL', 'Guid', 'HashSet',
+    'IAsyncEnumerable', 'ICollection', 'IComparable', 'IDictionary', 'IDisposable', 'IEnumerable', 'IEnumerator',
+    'IEquatable', 'IInputContext', 'IKeyboard', 'IList', 'IMouse', 'IReadOnlyCollection', 'IReadOnlyDictionary',
+    'IReadOnlyList', 'IServiceCollection', 'IServiceProvider', 'IWindow', 'Int32', 'Interlocked', 'InvalidOperationException',
+    'Key', 'KeyValuePair', 'Lazy', 'LinkedList', 'List', 'Marshal', 'Math', 'MathF', 'Matrix3X2', 'Matrix4X4',
+    'Memory', 'MouseButton', 'NotImplementedException', 'NotSupportedException', 'Nullable', 'Object',
+    'ObjectDisposedException', 'Parallel', 'Path', 'Quaternion', 'Queue', 'Random', 'ReadOnlySpan', 'Rectangle',
+    'Regex', 'ServiceCollection', 'ServiceLifetime', 'Single', 'SortedDictionary', 'Span', 'Stack', 'Stopwatch',
+    'String', 'StringBuilder', 'Task', 'Theory', 'Thread', 'TimeSpan', 'Timer', 'Trace', 'Tuple', 'Type',
+    'ValueTask', 'ValueTuple', 'Vector2', 'Vector2D', 'Vector3', 'Vector3D', 'Vector4', 'Vector4D', 'Window',
+    'WindowOptions', 'InlineData', 'JsonSerializer', 'Process', 'Mock', 'Moq', 'Xunit', 'Is', 'Has', 'Does', 'Times',
+    'It', 'Stream', 'StringComparison', 'StringComparer', 'MemoryStream', 'StreamReader', 'IntPtr'
+]);
+
+// Members every type has
+const OBJECT_MEMBERS = new Set(['ToString', 'Equals', 'GetHashCode', 'GetType', 'Deconstruct', 'HasFlag', 'CompareTo']);
+
+// Members of Nullable<T>; Value and GetValueOrDefault() continue with T
+const NULLABLE_MEMBERS = new Set(['HasValue', 'Value', 'GetValueOrDefault']);
+
+const CSHARP_KEYWORDS = new Set([
+    'abstract', 'as', 'base', 'bool', 'break', 'byte', 'case', 'catch', 'char', 'checked', 'class', 'const',
+    'continue', 'decimal', 'default', 'delegate', 'do', 'double', 'else', 'enum', 'event', 'explicit', 'extern',
+    'false', 'finally', 'fixed', 'float', 'for', 'foreach', 'goto', 'if', 'implicit', 'in', 'int', 'interface',
+    'internal', 'is', 'lock', 'long', 'namespace', 'new', 'null', 'object', 'operator', 'out', 'override',
+    'params', 'private', 'protected', 'public', 'readonly', 'ref', 'return', 'sbyte', 'sealed', 'short', 'sizeof',
+    'stackalloc', 'static', 'string', 'struct', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'uint',
+    'ulong', 'unchecked', 'unsafe', 'ushort', 'using', 'virtual', 'void', 'volatile', 'while', 'var', 'await',
+    'async', 'nameof', 'when', 'where', 'yield', 'record', 'init', 'get', 'set', 'value', 'global', 'and', 'or', 'not'
+]);
+
+class CodeSampleChecker {
+    constructor(options = {}) {
+        this.options = {
+            languages: ['csharp', 'cs', 'c#'],
+            optOutFlags: ['no-check'],
+            sourceRoots: ['src/'],
+            externalTypeNames: EXTERNAL_TYPE_NAMES,
+            ...options
+        };
+
+        this.parser = new CSharpParser({ keepDocComments: false });
+        this.types = new Map();
+        this.namespaces = new Set();
+        this.extensions = new Map();
+        this.otherTypeNames = new Set();
+    }
+
+    // Index types, members and extension methods from the parsed source documents
+    indexSymbols(documents) {
+        Object.values(documents).forEach(doc => {
+            if (doc.type !== 'source' || !Array.isArray(doc.symbols)) return;
+            const isEngineSource = this.options.sourceRoots.some(root => doc.path.replace(/\\/g, '/').startsWith(root));
+
+            if (!isEngineSource) {
+                // Samples and tools are real code too; their names are known but not checked
+                doc.symbols.forEach(symbol => this.otherTypeNames.add(symbol.containingTypes[0] || symbol.name));
+                return;
+            }
+
+            doc.symbols.forEach(symbol => {
+                const namespaceParts = symbol.namespace ? symbol.namespace.split('.') : [];
+                namespaceParts.forEach((part, index) => this.namespaces.add(namespaceParts.slice(0, index + 1).join('.')));
+
+                if (this.isTypeKind(symbol.kind)) this.addType(symbol);
+                if (symbol.containingTypes.length > 0) this.addMember(symbol);
+            });
+        });
+    }
+
+    isTypeKind(kind) {
+        return ['class', 'struct', 'interface', 'enum', 'record', 'record struct', 'delegate'].includes(kind);
+    }
+
+    addType(symbol) {
+        const fullName = symbol.fullName;
+        let type = this.findTypeByFullName(fullName);
+
+        // Partial declarations merge into one type
+        if (!type) {
+            type = { name: symbol.name, fullName, namespace: symbol.namespace, kind: symbol.kind, baseTypes: [], members: new Map() };
+            if (!this.types.has(symbol.name)) this.types.set(symbol.name, []);
+            this.types.get(symbol.name).push(type);
+        }
+        type.baseTypes.push(...symbol.baseTypes);
+
+        // Positional record parameters become properties
+        if (symbol.kind.startsWith('record')) {
+            symbol.parameters.forEach(param => this.addMemberToType(type, {
+                name: param.name,
+                fullName: `${fullName}.${param.name}`,
+                kind: 'property',
+                returnType: param.type
+            }));
+        }
+    }
+
+    addMember(symbol) {
+        const typeFullName = [symbol.namespace, ...symbol.containingTypes].filter(Boolean).join('.');
+        const type = this.findTypeByFullName(typeFullName);
+        if (type) this.addMemberToType(type, symbol);
+
+        // Extension methods extend the type of their first parameter
+        const receiver = symbol.kind === 'method' && symbol.parameters[0];
+        if (receiver && receiver.modifiers.includes('this') && receiver.type) {
+            const receiverName = this.simpleTypeName(receiver.type);
+            if (!receiverName) return;
+            if (!this.extensions.has(receiverName)) this.extensions.set(receiverName, new Map());
+            const members = this.extensions.get(receiverName);
+            if (!members.has(symbol.name)) members.set(symbol.name, []);
+            members.get(symbol.name).push(symbol);
+        }
+    }
+
+    addMemberToType(type, member) {
+        if (!type.members.has(member.name)) type.members.set(member.name, []);
+        type.members.get(member.name).push(member);
+    }
+
+    findTypeByFullName(fullName) {
+        const simpleName = fullName.split('.').pop();
+        return (this.types.get(simpleName) || []).find(type => type.fullName === fullName) || null;
+    }
+
+    // List<Entity> -> List, Rac.ECS.Core.World? -> World; arrays and tuples have no engine type
+    simpleTypeName(typeText) {
+        const text = typeText.replace(/^global::/, '').replace(/\?$/, '').trim();
+        if (!text || text.startsWith('(') || text.endsWith(']')) return null;
+        const withoutGenerics = text.replace(/<.*>$/, '');
+        return withoutGenerics.split('.').pop();
+    }
+
+    // Member lookup through base types, interfaces and extension methods; null means "cannot tell"
+    findMember(types, memberName) {
+        const visited = new Set();
+        const queue = [...types];
+        let open = false;
+
+        while (queue.length > 0) {
+            const type = queue.shift();
+            if (visited.has(type.fullName)) continue;
+            visited.add(type.fullName);
+
+            if (type.members.has(memberName)) return type.members.get(memberName);
+            const extensions = this.extensions.get(type.name);
+            if (extensions && extensions.has(memberName)) return extensions.get(memberName);
+
+            type.baseTypes.forEach(baseType => {
+                const baseTypes = this.types.get(this.simpleTypeName(baseType)) || [];
+                // A base type outside the engine (IDisposable, Exception) may provide the member
+                if (baseTypes.length === 0) open = true;
+                queue.push(...baseTypes);
+            });
+        }
+
+        if (OBJECT_MEMBERS.has(memberName)) return [];
+        return open ? null : false;
+    }
+
+    isKnownTypeName(name, localTypes) {
+        return this.types.has(name) || localTypes.has(name) || this.otherTypeNames.has(name)
+            || this.options.externalTypeNames.has(name) || /^T([A-Z]\w*)?$/.test(name);
+    }
+
+    isCheckedBlock(codeBlock) {
+        const flags = codeBlock.flags || [];
+        return this.options.languages.includes((codeBlock.language || '').toLowerCase())
+            && !flags.some(flag => this.options.optOutFlags.includes(flag));
+    }
+
+    // All problems in the markdown documents' C# blocks
+    checkDocuments(documents) {
+        this.indexSymbols(documents);
+
+        const problems = [];
+        let checkedBlocks = 0;
+        let skippedBlocks = 0;
+
+        Object.values(documents).forEach(doc => {
+            if (doc.type === 'api' || doc.type === 'source' || !Array.isArray(doc.codeBlocks) || !doc.path.endsWith('.md')) return;
+
+            doc.codeBlocks.forEach(codeBlock => {
+                if (typeof codeBlock !== 'object' || !this.options.languages.includes((codeBlock.language || '').toLowerCase())) return;
+                if (!this.isCheckedBlock(codeBlock)) {
+                    skippedBlocks++;
+                    return;
+                }
+
+                checkedBlocks++;
+                this.checkCode(codeBlock.code).forEach(problem => problems.push({
+                    ...problem,
+                    documentKey: doc.key,
+                    path: doc.path,
+                    line: codeBlock.lineStart ? codeBlock.lineStart + problem.line : null
+                }));
+            });
+        });
+
+        return { problems, checkedBlocks, skippedBlocks };
+    }
+
+    checkCode(code) {
+        return this.analyzeCode(code).problems;
+    }
+
+    // Problems in a piece of C#, plus the full names of the engine types and members it resolved
+    analyzeCode(code) {
+        const problems = [];
+        const usages = new Set();
+        const reported = new Set();
+        const report = (severity, identifier, message, line) => {
+            if (reported.has(identifier)) return;
+            reported.add(identifier);
+            problems.push({ severity, identifier, message, line });
+        };
+
+        const tokens = this.parser.tokenize(code);
+        const declared = this.parser.parse(code);
+        const localTypes = new Set(declared.symbols.filter(symbol => this.isTypeKind(symbol.kind)).map(symbol => symbol.name));
+        const localMembers = new Set(declared.symbols.map(symbol => symbol.name));
+        const variables = new Map();
+
+        // Types the sample declares itself shadow engine types of the same name
+        const engineTypes = (typeName) => {
+            const simpleName = this.simpleTypeName(typeName);
+            return simpleName && !localTypes.has(simpleName) ? this.types.get(simpleName) || [] : [];
+        };
+
+        // Engine type names anywhere, generic arguments and typeof() included, count as uses
+        tokens.forEach(token => {
+            if (token.type === 'identifier') engineTypes(token.value).forEach(type => usages.add(type.fullName));
+        });
+
+        const value = (index) => (tokens[index] ? tokens[index].value : null);
+        const isIdentifier = (index) => Boolean(tokens[index]) && tokens[index].type === 'identifier';
+        const isPunct = (index, punct) => Boolean(tokens[index]) && tokens[index].type === 'punct' && tokens[index].value === punct;
+
+        // Index just past a balanced group starting at index
+        const skipGroup = (index) => {
+            const open = value(index);
+            const close = { '(': ')', '[': ']', '<': '>', '{': '}' }[open];
+            let depth = 0;
+            for (let i = index; i < tokens.length; i++) {
+                if (tokens[i].type !== 'punct') continue;
+                if (tokens[i].value === open) depth++;
+                else if (tokens[i].value === close && --depth === 0) return i + 1;
+                else if (open === '<' && [';', '{', '}', '=', '&', '|'].includes(tokens[i].value)) return -1;
+            }
+            return -1;
+        };
+
+        // Reads Type, Type<T>, Type[], Type? starting at index; returns { name, end } or null
+        const readTypeAt = (index) => {
+            if (!isIdentifier(index) || CSHARP_KEYWORDS.has(value(index))) return null;
+            let end = index + 1;
+            while (isPunct(end, '.') && isIdentifier(end + 1)) end += 2;
+            if (isPunct(end, '<')) {
+                const afterGenerics = skipGroup(end);
+                if (afterGenerics === -1) return null;
+                end = afterGenerics;
+            }
+            while (isPunct(end, '?') || (isPunct(end, '[') && isPunct(end + 1, ']'))) end += isPunct(end, '[') ? 2 : 1;
+            return { name: tokens.slice(index, end).map(token => token.value).join(''), end };
+        };
+
+        const checkTypeName = (name, token) => {
+            if (name.startsWith('Rac.')) {
+                checkQualifiedName(name.replace(/<.*$/, '').split('.'), token);
+                return;
+            }
+            const simpleName = this.simpleTypeName(name);
+            if (simpleName && !this.isKnownTypeName(simpleName, localTypes)) {
+                report('warning', simpleName, `unknown type ${simpleName}`, token.line);
+            }
+        };
+
+        // Rac.ECS.Core.World.Query: namespaces, then a type, then members
+        const checkQualifiedName = (segments, token) => {
+            let namespace = '';
+            let index = 0;
+            while (index < segments.length && this.namespaces.has(namespace ? `${namespace}.${segments[index]}` : segments[index])) {
+                namespace = namespace ? `${namespace}.${segments[index]}` : segments[index];
+                index++;
+            }
+            if (index === segments.length) return [];
+
+            const type = (this.types.get(segments[index]) || []).find(candidate => candidate.namespace === namespace);
+            if (!type) {
+                const name = segments.slice(0, index + 1).join('.');
+                report('error', name, `${name} does not exist`, token.line);
+                return null;
+            }
+            return [type];
+        };
+
+        // Follows a.B.C(...).D through member return types; stops quietly at anything it cannot type.
+        // receiver is the head as the sample writes it (world, Rac.ECS.Core.World), used in findings
+        const resolveChain = (start, initialTypes, initialNullable, receiver) => {
+            let types = initialTypes;
+            let nullable = initialNullable;
+            let index = start;
+            let path = receiver;
+
+            while (types && types.length > 0 && (isPunct(index, '.') || (isPunct(index, '?') && isPunct(index + 1, '.')) || (isPunct(index, '!') && isPunct(index + 1, '.')))) {
+                if (!isPunct(index, '.')) index++;
+                if (!isIdentifier(index + 1)) break;
+
+                const memberToken = tokens[index + 1];
+                const memberName = memberToken.value;
+                index += 2;
+                if (isPunct(index, '<')) {
+                    const afterGenerics = skipGroup(index);
+                    if (afterGenerics !== -1) index = afterGenerics;
+                }
+
+                if (nullable && NULLABLE_MEMBERS.has(memberName)) {
+                    while (isPunct(index, '(')) index = Math.max(skipGroup(index), index + 1);
+                    types = memberName === 'HasValue' ? null : types;
+                    nullable = false;
+                    path = `${path}.${memberName}`;
+                    continue;
+                }
+
+                const members = this.findMember(types, memberName);
+                if (members === false) {
+                    report('error', `${path}.${memberName}`, `${types[0].fullName} has no member ${memberName}`, memberToken.line);
+                    return { types: null, nullable: false, end: index };
+                }
+
+                (members || []).forEach(member => member.fullName && usages.add(member.fullName));
+
+                while (isPunct(index, '(') || isPunct(index, '[')) {
+                    const afterGroup = skipGroup(index);
+                    if (afterGroup === -1) break;
+                    index = afterGroup;
+                }
+
+                const returnTypes = [...new Set((members || []).map(member => member.returnType).filter(Boolean))];
+                types = returnTypes.length === 1 ? engineTypes(returnTypes[0]) : null;
+                nullable = returnTypes.length === 1 && returnTypes[0].endsWith('?');
+                path = `${path}.${memberName}`;
+            }
+
+            return { types: types && types.length > 0 ? types : null, nullable, end: index };
+        };
+
+        // Lambda parameters (q => q.Component1, (a, b) => ...) are typed by the call they are passed to
+        const lambdaParameters = new Set();
+        tokens.forEach((token, index) => {
+            if (token.type !== 'punct' || token.value !== '=>') return;
+            if (isIdentifier(index - 1)) {
+                lambdaParameters.add(value(index - 1));
+            } else if (isPunct(index - 1, ')')) {
+                for (let i = index - 2; i >= 0 && !isPunct(i, '('); i--) {
+                    if (isIdentifier(i) && (isPunct(i + 1, ',') || isPunct(i + 1, ')'))) lambdaParameters.add(value(i));
+                }
+            }
+        });
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const previous = tokens[i - 1];
+            const afterAccess = previous && previous.type === 'punct' && ['.', '::'].includes(previous.value);
+            if (token.type !== 'identifier' || afterAccess) continue;
+
+            // using Rac.Core.Extension; and using static Rac.Core.Extension.Helpers;
+            if (token.value === 'using' && isIdentifier(i + 1) && value(i + 1) !== 'var') {
+                const isStatic = value(i + 1) === 'static';
+                let index = i + (isStatic ? 2 : 1);
+                const segments = [];
+                while (isIdentifier(index)) {
+                    segments.push(value(index));
+                    if (!isPunct(index + 1, '.')) break;
+                    index += 2;
+                }
+
+                const name = segments.join('.');
+                if (isPunct(index + 1, ';') && segments[0] === 'Rac') {
+                    if (isStatic) {
+                        checkQualifiedName(segments, token);
+                    } else if (!this.namespaces.has(name)) {
+                        report('error', name, `namespace ${name} does not exist`, token.line);
+                    }
+                }
+                i = index;
+                continue;
+            }
+
+            // namespace Rac.Example; declares rather than uses a namespace
+            if (token.value === 'namespace') {
+                while (isIdentifier(i + 1) || isPunct(i + 1, '.')) i++;
+                continue;
+            }
+
+            // new Type(...) and new Type { ... }
+            if (token.value === 'new') {
+                const type = readTypeAt(i + 1);
+                if (!type) continue;
+                checkTypeName(type.name, tokens[i + 1]);
+                i = type.end - 1;
+                continue;
+            }
+
+            if (CSHARP_KEYWORDS.has(token.value) && token.value !== 'var') continue;
+
+            // var name = <expression>
+            if (token.value === 'var' && isIdentifier(i + 1) && isPunct(i + 2, '=')) {
+                const name = value(i + 1);
+                const start = i + 3;
+                if (value(start) === 'new') {
+                    const type = readTypeAt(start + 1);
+                    if (type) variables.set(name, { types: engineTypes(type.name), nullable: false });
+                } else if (isIdentifier(start)) {
+                    const headTypes = variables.has(value(start))
+                        ? variables.get(value(start))
+                        : { types: engineTypes(value(start)), nullable: false };
+                    const resolved = resolveChain(start + 1, headTypes.types, headTypes.nullable, value(start));
+                    variables.set(name, { types: resolved.types || [], nullable: resolved.nullable });
+                    i = resolved.end - 1;
+                }
+                continue;
+            }
+
+            // Type name declarations (locals, parameters, fields)
+            const type = /^[A-Z]/.test(token.value) ? readTypeAt(i) : null;
+            if (type && isIdentifier(type.end) && !CSHARP_KEYWORDS.has(value(type.end))
+                && [';', '=', ',', ')', 'in'].some(next => value(type.end + 1) === next)) {
+                checkTypeName(type.name, token);
+                variables.set(value(type.end), { types: engineTypes(type.name), nullable: type.name.endsWith('?') });
+                i = type.end;
+                continue;
+            }
+
+            // Expression chains: variable.Member..., Type.StaticMember..., Rac.Namespace.Type...
+            if (!isPunct(i + 1, '.') && !isPunct(i + 1, '?') && !isPunct(i + 1, '<')) continue;
+
+            let headTypes = null;
+            let nullable = false;
+            let start = i + 1;
+
+            if (variables.has(token.value)) {
+                ({ types: headTypes, nullable } = variables.get(token.value));
+            } else if (lambdaParameters.has(token.value)) {
+                continue;
+            } else if (token.value === 'Rac') {
+                const segments = [token.value];
+                let index = i + 1;
+                while (isPunct(index, '.') && isIdentifier(index + 1)) {
+                    segments.push(value(index + 1));
+                    index += 2;
+                    if (!this.namespaces.has(segments.join('.'))) break;
+                }
+                headTypes = checkQualifiedName(segments, token);
+                start = index;
+            } else if (engineTypes(token.value).length > 0) {
+                headTypes = engineTypes(token.value);
+                if (isPunct(start, '<')) {
+                    const afterGenerics = skipGroup(start);
+                    start = afterGenerics === -1 ? start : afterGenerics;
+                }
+            } else if (/^[A-Z]/.test(token.value)) {
+                if (isPunct(i + 1, '.') && !localMembers.has(token.value)) checkTypeName(token.value, token);
+                continue;
+            }
+
+            // Variables the sample never declares (engine, world) stay untyped rather than guessed from their names
+            if (!headTypes || headTypes.length === 0) continue;
+            const receiver = tokens.slice(i, start).map(headToken => headToken.value).join('');
+            const resolved = resolveChain(start, headTypes, nullable, receiver);
+            i = Math.max(i, resolved.end - 1);
+        }
+
+        return { problems, usages };
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const docsFile = args.includes('--docs') ? args[args.indexOf('--docs') + 1] : './public/docs.json';
+
+    const docs = JSON.parse(fs.readFileSync(docsFile, 'utf8'));
+    const checker = new CodeSampleChecker();
+    const { problems, checkedBlocks, skippedBlocks } = checker.checkDocuments(docs.documents);
+
+    problems.forEach(problem => {
+        const icon = problem.severity === 'error' ? '❌' : '⚠️ ';
+        console.log(`${icon} ${problem.path}:${problem.line} ${problem.message}`);
+    });
+    console.log(`\n🧪 Checked ${checkedBlocks} C# code blocks (${skippedBlocks} opted out): ${problems.length} unknown identifier(s)`);
+    process.exit(problems.some(problem => problem.severity === 'error') ? 1 : 0);
+}
+
+module.exports = CodeSampleChecker;
\ No newline at end of file
@@ -0,0 +1,1178 @@
+#!/usr/bin/env node
+
+/**
+ * C# Declaration Parser
+ *
+ * Tokenizes C# source (strings, verbatim/raw/interpolated literals, comments, preprocessor lines)
+ * and parses namespaces, usings and every type and member declaration with accurate kinds,
+ * accessibility, generic parameters, signatures and line ranges. Method bodies are skipped.
+ * Usage: node csharp-parser.js <file.cs> [--json]
+ */
+
+const fs = require('fs');
+
+const MODIFIERS = new Set([
+    'public', 'private', 'protected', 'internal', 'file', 'static', 'abstract', 'sealed', 'virtual',
+    'override', 'readonly', 'partial', 'async', 'extern', 'unsafe', 'new', 'const', 'volatile',
+    'required', 'implicit', 'explicit', 'fixed', 'ref'
+]);
+
+// Contextual keywords that are also valid member and type names
+const CONTEXTUAL_MODIFIERS = new Set(['file', 'partial', 'async', 'required']);
+
+const TYPE_KEYWORDS = new Set(['class', 'struct', 'interface', 'enum', 'record']);
+
+// Metadata names, as used by compiler XML documentation and DocFx uids
+const OPERATOR_NAMES = {
+    '+': ['op_UnaryPlus', 'op_Addition'],
+    '-': ['op_UnaryNegation', 'op_Subtraction'],
+    '*': 'op_Multiply',
+    '/': 'op_Division',
+    '%': 'op_Modulus',
+    '&': 'op_BitwiseAnd',
+    '|': 'op_BitwiseOr',
+    '^': 'op_ExclusiveOr',
+    '<<': 'op_LeftShift',
+    '>>': 'op_RightShift',
+    '>>>': 'op_UnsignedRightShift',
+    '==': 'op_Equality',
+    '!=': 'op_Inequality',
+    '<': 'op_LessThan',
+    '>': 'op_GreaterThan',
+    '<=': 'op_LessThanOrEqual',
+    '>=': 'op_GreaterThanOrEqual',
+    '!': 'op_LogicalNot',
+    '~': 'op_OnesComplement',
+    '++': 'op_Increment',
+    '--': 'op_Decrement',
+    'true': 'op_True',
+    'false': 'op_False'
+};
+
+// Most to least restrictive; the effective accessibility of a member is the weakest link in its chain
+const ACCESSIBILITY_RANK = {
+    'file': 0,
+    'private': 0,
+    'private protected': 1,
+    'internal': 2,
+    'protected': 2,
+    'protected internal': 3,
+    'public': 4
+};
+
+class CSharpParser {
+    constructor(options = {}) {
+        this.options = {
+            keepDocComments: true,
+            ...options
+        };
+    }
+
+    parse(source) {
+        this.source = source.replace(/^﻿/, '');
+        this.tokens = this.tokenize(this.source);
+        this.position = 0;
+
+        const result = { namespaces: [], usings: [], symbols: [] };
+        this.result = result;
+
+        this.parseNamespaceBody({ namespace: '', types: [] }, false);
+
+        result.namespaces = [...new Set(result.symbols.map(symbol => symbol.namespace).filter(Boolean))];
+        return result;
+    }
+
+    // Tokenizer
+
+    tokenize(source) {
+        const tokens = [];
+        const length = source.length;
+        const identifierPattern = /@?[\p{L}_][\p{L}\p{N}_]*/uy;
+        const numberPattern = /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?|\.\d[\d_]*(?:[eE][+-]?\d+)?)[a-zA-Z]*/y;
+        // #if nesting; true while inside an #else/#elif branch, which is skipped
+        const conditionals = [];
+        let docLines = [];
+        let line = 1;
+        let i = 0;
+        let atLineStart = true;
+
+        const advanceLines = (text) => {
+            for (const ch of text) if (ch === '\n') line++;
+        };
+        const push = (type, value, start, startLine) => {
+            const token = { type, value, line: startLine, start, end: i, doc: null };
+            // Documentation comments belong to the token that follows them
+            if (docLines.length > 0) {
+                token.doc = docLines.join('\n');
+                docLines = [];
+            }
+            tokens.push(token);
+        };
+
+        while (i < length) {
+            const ch = source[i];
+
+            if (ch === '\n') {
+                line++;
+                i++;
+                atLineStart = true;
+                continue;
+            }
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            // Preprocessor directives own the rest of their line; only the first #if branch is kept
+            if (ch === '#' && atLineStart) {
+                const end = source.indexOf('\n', i);
+                const directive = source.slice(i, end === -1 ? length : end);
+                const keyword = (directive.match(/^#\s*(\w+)/) || [])[1];
+                i = end === -1 ? length : end;
+
+                if (keyword === 'if') conditionals.push(false);
+                else if ((keyword === 'else' || keyword === 'elif') && conditionals.length > 0) conditionals[conditionals.length - 1] = true;
+                else if (keyword === 'endif') conditionals.pop();
+                continue;
+            }
+            if (conditionals.includes(true)) {
+                const end = source.indexOf('\n', i);
+                i = end === -1 ? length : end;
+                continue;
+            }
+
+            atLineStart = false;
+            const start = i;
+            const startLine = line;
+
+            // Comments; /// and /** */ are kept for documentation
+            if (ch === '/' && source[i + 1] === '/') {
+                const end = source.indexOf('\n', i);
+                const text = source.slice(i, end === -1 ? length : end).replace(/\r$/, '');
+                i = end === -1 ? length : end;
+                if (/^\/\/\/(?!\/)/.test(text)) {
+                    docLines.push(text.replace(/^\/\/\/ ?/, ''));
+                }
+                continue;
+            }
+            if (ch === '/' && source[i + 1] === '*') {
+                const end = source.indexOf('*/', i + 2);
+                const text = source.slice(i, end === -1 ? length : end + 2);
+                i = end === -1 ? length : end + 2;
+                advanceLines(text);
+                if (text.startsWith('/**') && text !== '/**/') {
+                    docLines.push(...text.slice(3, -2).trim().split('\n').map(docLine => docLine.replace(/^\s*\* ?/, '').replace(/\r$/, '')));
+                }
+                continue;
+            }
+
+            // String and character literals
+            const stringEnd = this.scanStringLiteral(source, i);
+            if (stringEnd !== -1) {
+                const text = source.slice(i, stringEnd);
+                advanceLines(text);
+                i = stringEnd;
+                push('string', text, start, startLine);
+                continue;
+            }
+            if (ch === '\'') {
+                let j = i + 1;
+                while (j < length && source[j] !== '\'' && source[j] !== '\n') j += source[j] === '\\' ? 2 : 1;
+                i = Math.min(j + 1, length);
+                push('char', source.slice(start, i), start, startLine);
+                continue;
+            }
+
+            identifierPattern.lastIndex = i;
+            const identifier = identifierPattern.exec(source);
+            if (identifier) {
+                i += identifier[0].length;
+                push('identifier', identifier[0].replace(/^@/, ''), start, startLine);
+                continue;
+            }
+
+            numberPattern.lastIndex = i;
+            const number = numberPattern.exec(source);
+            if (number) {
+                i += number[0].length;
+                push('number', number[0], start, startLine);
+                continue;
+            }
+
+            // => and :: are the only multi-character operators the declaration grammar needs
+            const pair = source.slice(i, i + 2);
+            const value = pair === '=>' || pair === '::' ? pair : ch;
+            i += value.length;
+            push('punct', value, start, startLine);
+        }
+
+        return tokens;
+    }
+
+    // Returns the end offset of a string literal starting at i, or -1 when there is none
+    scanStringLiteral(source, i) {
+        const prefix = source.slice(i, i + 3).match(/^(\$*@?\$*)"/);
+        if (!prefix) return -1;
+
+        const sigils = prefix[1];
+        const interpolated = sigils.includes('$');
+        const verbatim = sigils.includes('@');
+        let j = i + sigils.length;
+
+        // Raw string literals: three or more quotes, closed by the same run
+        let quotes = 0;
+        while (source[j + quotes] === '"') quotes++;
+        if (quotes >= 3 && !verbatim) {
+            const run = '"'.repeat(quotes);
+            const close = source.indexOf(run, j + quotes);
+            return close === -1 ? source.length : close + quotes;
+        }
+
+        j++;
+        while (j < source.length) {
+            const ch = source[j];
+            if (verbatim && ch === '"' && source[j + 1] === '"') {
+                j += 2;
+            } else if (ch === '"') {
+                return j + 1;
+            } else if (!verbatim && ch === '\\') {
+                j += 2;
+            } else if (!verbatim && ch === '\n') {
+                return j;
+            } else if (interpolated && ch === '{' && source[j + 1] === '{') {
+                j += 2;
+            } else if (interpolated && ch === '{') {
+                j = this.scanInterpolationHole(source, j + 1);
+            } else {
+                j++;
+            }
+        }
+
+        return source.length;
+    }
+
+    scanInterpolationHole(source, i) {
+        let depth = 1;
+        let j = i;
+
+        while (j < source.length && depth > 0) {
+            const nested = this.scanStringLiteral(source, j);
+            if (nested !== -1) {
+                j = nested;
+                continue;
+            }
+            if (source[j] === '{') depth++;
+            if (source[j] === '}') depth--;
+            j++;
+        }
+
+        return j;
+    }
+
+    // Token helpers
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset] || null;
+    }
+
+    next() {
+        return this.tokens[this.position++] || null;
+    }
+
+    is(value, offset = 0) {
+        const token = this.peek(offset);
+        return Boolean(token) && token.type !== 'string' && token.type !== 'char' && token.value === value;
+    }
+
+    isIdentifier(offset = 0) {
+        const token = this.peek(offset);
+        return Boolean(token) && token.type === 'identifier';
+    }
+
+    expect(value) {
+        if (this.is(value)) return this.next();
+        return null;
+    }
+
+    atEnd() {
+        return this.position >= this.tokens.length;
+    }
+
+    // Source text between two tokens, with comments and runs of whitespace collapsed
+    textBetween(startIndex, endIndex) {
+        let text = '';
+        for (let i = startIndex; i < endIndex; i++) {
+            const token = this.tokens[i];
+            const previous = text && this.tokens[i - 1];
+            const tight = (previous && previous.type === 'punct' && ['(', '['].includes(previous.value))
+                || (token.type === 'punct' && [')', ']', ','].includes(token.value));
+            if (previous && token.start > previous.end && !tight) text += ' ';
+            text += this.source.slice(token.start, token.end);
+        }
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    // Skip a balanced (), [], {} or <> group starting at the current token
+    skipGroup() {
+        const open = this.next().value;
+        const close = { '(': ')', '[': ']', '{': '}', '<': '>' }[open];
+        let depth = 1;
+
+        while (!this.atEnd() && depth > 0) {
+            const token = this.next();
+            if (token.type !== 'punct') continue;
+            if (token.value === open) depth++;
+            else if (token.value === close) depth--;
+            // Generic argument lists never contain these; bail out on comparisons
+            else if (open === '<' && (token.value === ';' || token.value === '{')) {
+                this.position--;
+                return false;
+            }
+        }
+
+        return depth === 0;
+    }
+
+    // Skip an expression or statement up to a top-level terminator, which is not consumed
+    skipUntil(terminators) {
+        while (!this.atEnd()) {
+            const token = this.peek();
+            if (token.type === 'punct' && terminators.includes(token.value)) return;
+            if (token.type === 'punct' && (['(', '[', '{'].includes(token.value) || (token.value === '<' && this.looksLikeTypeArguments()))) {
+                this.skipGroup();
+            } else {
+                this.next();
+            }
+        }
+    }
+
+    // The documentation comment in front of a declaration, which may precede its attributes
+    docCommentBetween(startIndex, endIndex) {
+        for (let i = startIndex; i <= endIndex && i < this.tokens.length; i++) {
+            if (this.tokens[i].doc) return this.tokens[i].doc;
+        }
+        return null;
+    }
+
+    skipAttributes() {
+        const attributes = [];
+        while (this.is('[')) {
+            const startIndex = this.position;
+            this.skipGroup();
+            attributes.push(this.textBetween(startIndex + 1, this.position - 1));
+        }
+        return attributes;
+    }
+
+    // Declarations
+
+    parseNamespaceBody(scope, braced) {
+        while (!this.atEnd()) {
+            if (braced && this.is('}')) {
+                this.next();
+                return;
+            }
+
+            const token = this.peek();
+
+            if (this.is('using') || (this.is('global') && this.is('using', 1))) {
+                this.parseUsingDirective(scope);
+                continue;
+            }
+
+            if (this.is('extern') && this.is('alias', 1)) {
+                this.skipUntil([';']);
+                this.next();
+                continue;
+            }
+
+            if (this.is('namespace')) {
+                this.next();
+                const nameStart = this.position;
+                this.skipQualifiedName();
+                const name = this.textBetween(nameStart, this.position).replace(/\s+/g, '');
+                const namespace = scope.namespace ? `${scope.namespace}.${name}` : name;
+
+                if (this.expect(';')) {
+                    // File-scoped namespace covers the rest of the file
+                    scope.namespace = namespace;
+                } else if (this.expect('{')) {
+                    this.parseNamespaceBody({ namespace, types: [] }, true);
+                }
+                continue;
+            }
+
+            if (token.type === 'punct' && token.value === ';') {
+                this.next();
+                continue;
+            }
+
+            // [assembly: ...] and [module: ...]
+            if (this.is('[') && this.isIdentifier(1) && this.is(':', 2)) {
+                this.skipGroup();
+                continue;
+            }
+
+            if (!this.parseMemberDeclaration(scope)) {
+                // Top-level statements and anything unrecognised are skipped
+                this.skipUntil([';', '}']);
+                if (this.is(';')) this.next();
+                else if (this.is('}') && !braced) this.next();
+            }
+        }
+    }
+
+    parseUsingDirective(scope) {
+        const line = this.peek().line;
+        const global = Boolean(this.expect('global'));
+        this.next();
+
+        // using (...) and using var are statements, not directives
+        if (this.is('(') || this.is('var')) {
+            this.skipUntil([';']);
+            this.next();
+            return;
+        }
+
+        const isStatic = Boolean(this.expect('static'));
+        const startIndex = this.position;
+        this.skipUntil([';']);
+        const text = this.textBetween(startIndex, this.position);
+        this.next();
+
+        const aliasMatch = text.match(/^(\w+)\s*=\s*(.+)$/);
+        this.result.usings.push({
+            name: aliasMatch ? aliasMatch[2].replace(/\s+/g, '') : text.replace(/\s+/g, ''),
+            alias: aliasMatch ? aliasMatch[1] : null,
+            static: isStatic,
+            global,
+            namespace: scope.namespace,
+            line
+        });
+    }
+
+    skipQualifiedName() {
+        while (this.isIdentifier() || this.is('.') || this.is('::')) this.next();
+    }
+
+    // Parses one type or member declaration; returns false when the tokens are not a declaration
+    parseMemberDeclaration(scope) {
+        const container = scope.types[scope.types.length - 1] || null;
+        const startPosition = this.position;
+
+        const attributes = this.skipAttributes();
+        const declarationStart = this.position;
+        const docComment = this.docCommentBetween(startPosition, declarationStart);
+        const modifiers = [];
+        while (this.isIdentifier() && MODIFIERS.has(this.peek().value) && !this.isModifierUsedAsName()) {
+            modifiers.push(this.next().value);
+        }
+        // ref readonly return types
+        if (modifiers[modifiers.length - 1] === 'ref' && this.is('readonly')) modifiers.push(this.next().value);
+
+        const context = { scope, container, attributes, docComment, modifiers, declarationStart };
+
+        if (this.isIdentifier() && TYPE_KEYWORDS.has(this.peek().value) && this.isIdentifier(1)) {
+            return this.parseTypeDeclaration(context);
+        }
+        if (this.is('delegate') && !this.is('(', 1) && !this.is('{', 1)) {
+            return this.parseDelegate(context);
+        }
+        if (container && container.kind === 'enum') {
+            return this.parseEnumMembers(context);
+        }
+        if (!container) {
+            // Top-level statements (scripts, Program.cs) are not declarations
+            this.position = startPosition;
+            return false;
+        }
+        if (this.is('event')) {
+            return this.parseEvent(context);
+        }
+        if (this.is('~') && this.isIdentifier(1)) {
+            return this.parseDestructor(context);
+        }
+        if ((modifiers.includes('implicit') || modifiers.includes('explicit')) && this.is('operator')) {
+            return this.parseConversionOperator(context);
+        }
+
+        return this.parseTypedMember(context, startPosition);
+    }
+
+    // "file", "async" and friends can also be identifiers (e.g. a property called file)
+    isModifierUsedAsName() {
+        if (!CONTEXTUAL_MODIFIERS.has(this.peek().value)) return false;
+        const after = this.peek(1);
+        return !after || (after.type === 'punct' && ['(', '=', ';', ',', '{', '=>', ')', '.', '<'].includes(after.value));
+    }
+
+    parseTypeDeclaration(context) {
+        let kind = this.next().value;
+        if (kind === 'record' && (this.is('struct') || this.is('class'))) {
+            kind = this.next().value === 'struct' ? 'record struct' : 'record';
+        }
+
+        const nameToken = this.next();
+        const typeParameters = this.parseTypeParameterList();
+
+        // Primary constructors on records, classes and structs
+        let parameters = [];
+        if (this.is('(')) {
+            parameters = this.parseParameterList();
+        }
+
+        let baseTypes = [];
+        if (this.expect(':')) {
+            baseTypes = this.parseTypeList(['{', ';', 'where']);
+        }
+        const signatureEnd = this.position;
+        this.parseConstraints(typeParameters);
+
+        const symbol = this.createSymbol(context, {
+            kind,
+            name: nameToken.value,
+            displayName: nameToken.value + this.formatTypeParameters(typeParameters),
+            typeParameters,
+            parameters,
+            baseTypes,
+            returnType: null,
+            signatureEnd
+        });
+
+        if (this.expect('{')) {
+            const scope = { namespace: context.scope.namespace, types: [...context.scope.types, symbol] };
+            this.parseTypeBody(scope);
+        }
+        this.expect(';');
+
+        this.finishSymbol(symbol);
+        return true;
+    }
+
+    parseTypeBody(scope) {
+        while (!this.atEnd()) {
+            if (this.is('}')) {
+                this.next();
+                return;
+            }
+            if (this.is(';')) {
+                this.next();
+                continue;
+            }
+
+            const before = this.position;
+            if (!this.parseMemberDeclaration(scope) || this.position === before) {
+                this.skipUntil([';', '}']);
+                this.expect(';');
+            }
+        }
+    }
+
+    parseDelegate(context) {
+        this.next();
+        const returnType = this.readType();
+        const nameToken = this.next();
+        const typeParameters = this.parseTypeParameterList();
+        const parameters = this.is('(') ? this.parseParameterList() : [];
+        const signatureEnd = this.position;
+        this.parseConstraints(typeParameters);
+        this.skipUntil([';']);
+        this.expect(';');
+
+        const symbol = this.createSymbol(context, {
+            kind: 'delegate',
+            name: nameToken.value,
+            displayName: nameToken.value + this.formatTypeParameters(typeParameters),
+            typeParameters,
+            parameters,
+            returnType,
+            signatureEnd
+        });
+        this.finishSymbol(symbol);
+        return true;
+    }
+
+    parseEnumMembers(context) {
+        let parsedAny = false;
+        let docComment = context.docComment;
+        let declarationStart = context.declarationStart;
+
+        while (this.isIdentifier()) {
+            const nameToken = this.next();
+            if (this.is('=')) {
+                this.skipUntil([',', '}']);
+            }
+            const symbol = this.createSymbol({ ...context, docComment, declarationStart, modifiers: [] }, {
+                kind: 'field',
+                name: nameToken.value,
+                displayName: nameToken.value,
+                returnType: context.container.name,
+                signatureEnd: this.position
+            });
+            this.finishSymbol(symbol);
+            parsedAny = true;
+
+            if (!this.expect(',')) break;
+            const memberStart = this.position;
+            this.skipAttributes();
+            declarationStart = this.position;
+            docComment = this.docCommentBetween(memberStart, declarationStart);
+        }
+
+        return parsedAny;
+    }
+
+    parseEvent(context) {
+        this.next();
+        const returnType = this.readType();
+        const symbols = [];
+
+        do {
+            const nameStart = this.position;
+            const name = this.readMemberName();
+            symbols.push(this.createSymbol(context, {
+                kind: 'event',
+                name: name.name,
+                displayName: name.name,
+                explicitInterface: name.explicitInterface,
+                returnType,
+                signatureEnd: this.position,
+                signatureStart: symbols.length > 0 ? nameStart : undefined
+            }));
+            if (this.is('=')) this.skipUntil([',', ';']);
+        } while (this.expect(','));
+
+        if (this.is('{')) this.skipGroup();
+        else this.expect(';');
+
+        symbols.forEach(symbol => this.finishSymbol(symbol));
+        return true;
+    }
+
+    parseDestructor(context) {
+        this.next();
+        const nameToken = this.next();
+        const parameters = this.is('(') ? this.parseParameterList() : [];
+        const signatureEnd = this.position;
+        this.skipBody();
+
+        const symbol = this.createSymbol(context, {
+            kind: 'destructor',
+            name: `~${nameToken.value}`,
+            displayName: `~${nameToken.value}()`,
+            parameters,
+            returnType: null,
+            signatureEnd
+        });
+        this.finishSymbol(symbol);
+        return true;
+    }
+
+    parseConversionOperator(context) {
+        this.next();
+        const returnType = this.readType();
+        const parameters = this.is('(') ? this.parseParameterList() : [];
+        const signatureEnd = this.position;
+        this.skipBody();
+
+        const direction = context.modifiers.includes('implicit') ? 'implicit' : 'explicit';
+        const symbol = this.createSymbol(context, {
+            kind: 'operator',
+            name: direction === 'implicit' ? 'op_Implicit' : 'op_Explicit',
+            displayName: `${direction} operator ${returnType}(${parameters.map(p => p.type).join(', ')})`,
+            parameters,
+            returnType,
+            signatureEnd
+        });
+        this.finishSymbol(symbol);
+        return true;
+    }
+
+    // Methods, constructors, operators, properties, indexers and fields all start with a type
+    parseTypedMember(context, startPosition) {
+        const { container } = context;
+
+        // Constructor: the type name directly followed by a parameter list
+        if (this.isIdentifier() && this.peek().value === container.name && this.is('(', 1)) {
+            this.next();
+            const parameters = this.parseParameterList();
+            const signatureEnd = this.position;
+            this.skipBody();
+
+            const symbol = this.createSymbol(context, {
+                kind: 'constructor',
+                name: container.name,
+                displayName: `${container.name}(${parameters.map(p => p.type).join(', ')})`,
+                parameters,
+                returnType: null,
+                signatureEnd
+            });
+            this.finishSymbol(symbol);
+            return true;
+        }
+
+        const returnType = this.readType();
+        if (!returnType) {
+            this.position = startPosition;
+            return false;
+        }
+
+        if (this.is('operator')) {
+            this.next();
+            let operator = '';
+            while (!this.atEnd() && !this.is('(')) operator += this.next().value;
+            operator = operator.replace(/^checked/, '');
+            const parameters = this.parseParameterList();
+            const metadataName = OPERATOR_NAMES[operator] || `op_${operator}`;
+            const signatureEnd = this.position;
+            this.skipBody();
+
+            const symbol = this.createSymbol(context, {
+                kind: 'operator',
+                name: Array.isArray(metadataName) ? metadataName[parameters.length === 1 ? 0 : 1] : metadataName,
+                displayName: `operator ${operator}(${parameters.map(p => p.type).join(', ')})`,
+                parameters,
+                returnType,
+                signatureEnd
+            });
+            this.finishSymbol(symbol);
+            return true;
+        }
+
+        const memberName = this.readMemberName();
+        if (!memberName) {
+            this.position = startPosition;
+            return false;
+        }
+
+        // Indexer: this[...]
+        if (memberName.name === 'this' && this.is('[')) {
+            const parameters = this.parseParameterList();
+            const signatureEnd = this.position;
+            const accessors = this.parseAccessors();
+
+            const symbol = this.createSymbol(context, {
+                kind: 'property',
+                name: 'this[]',
+                displayName: 'this[]',
+                explicitInterface: memberName.explicitInterface,
+                parameters,
+                returnType,
+                accessors,
+                signatureEnd
+            });
+            this.finishSymbol(symbol);
+            return true;
+        }
+
+        const typeParameters = this.parseTypeParameterList();
+
+        if (this.is('(')) {
+            const parameters = this.parseParameterList();
+            const signatureEnd = this.position;
+            this.parseConstraints(typeParameters);
+            this.skipBody();
+
+            const symbol = this.createSymbol(context, {
+                kind: 'method',
+                name: memberName.name,
+                displayName: `${memberName.name}${this.formatTypeParameters(typeParameters)}(${parameters.map(p => p.type).join(', ')})`,
+                explicitInterface: memberName.explicitInterface,
+                typeParameters,
+                parameters,
+                returnType,
+                signatureEnd
+            });
+            this.finishSymbol(symbol);
+            return true;
+        }
+
+        if (this.is('{') || this.is('=>')) {
+            const signatureEnd = this.position;
+            const accessors = this.parseAccessors();
+
+            const symbol = this.createSymbol(context, {
+                kind: 'property',
+                name: memberName.name,
+                displayName: memberName.name,
+                explicitInterface: memberName.explicitInterface,
+                returnType,
+                accessors,
+                signatureEnd
+            });
+            this.finishSymbol(symbol);
+            return true;
+        }
+
+        if (this.is('=') || this.is(';') || this.is(',') || this.is('[')) {
+            return this.parseFields(context, returnType, memberName);
+        }
+
+        this.position = startPosition;
+        return false;
+    }
+
+    parseFields(context, returnType, firstName) {
+        const symbols = [];
+        let name = firstName;
+        const keepsValue = context.modifiers.includes('const');
+
+        while (name) {
+            const nameStart = this.position - 1;
+            // Fixed-size buffers: fixed byte Data[16]
+            if (this.is('[')) this.skipGroup();
+
+            let signatureEnd = this.position;
+            if (this.is('=')) {
+                this.skipUntil([',', ';']);
+                if (keepsValue) signatureEnd = this.position;
+            }
+
+            symbols.push(this.createSymbol(context, {
+                kind: 'field',
+                name: name.name,
+                displayName: name.name,
+                returnType,
+                signatureEnd,
+                signatureStart: symbols.length > 0 ? nameStart : undefined
+            }));
+
+            name = this.expect(',') ? this.readMemberName() : null;
+        }
+        this.expect(';');
+
+        symbols.forEach(symbol => this.finishSymbol(symbol));
+        return true;
+    }
+
+    parseAccessors() {
+        const accessors = [];
+
+        if (this.expect('=>')) {
+            this.skipUntil([';']);
+            this.expect(';');
+            return ['get'];
+        }
+
+        if (this.expect('{')) {
+            while (!this.atEnd() && !this.is('}')) {
+                this.skipAttributes();
+                const accessorModifiers = [];
+                while (this.isIdentifier() && ['public', 'private', 'protected', 'internal', 'readonly'].includes(this.peek().value)) {
+                    accessorModifiers.push(this.next().value);
+                }
+                const token = this.next();
+                if (token.type === 'identifier') {
+                    accessors.push(accessorModifiers.length > 0 ? `${accessorModifiers.join(' ')} ${token.value}` : token.value);
+                }
+                if (this.is('{')) this.skipGroup();
+                else if (this.expect('=>')) this.skipUntil([';', '}']);
+                this.expect(';');
+            }
+            this.expect('}');
+        }
+
+        // Property initializer: { get; } = value;
+        if (this.expect('=')) {
+            this.skipUntil([';']);
+            this.expect(';');
+        }
+
+        return accessors;
+    }
+
+    // Method and accessor bodies: { ... }, => expression; or ;
+    skipBody() {
+        if (this.is(':')) {
+            // Constructor initializer : base(...) / : this(...)
+            this.skipUntil(['{', ';', '=>']);
+        }
+        if (this.is('{')) {
+            this.skipGroup();
+        } else if (this.expect('=>')) {
+            this.skipUntil([';']);
+            this.expect(';');
+        } else {
+            this.expect(';');
+        }
+    }
+
+    readMemberName() {
+        // Explicit interface implementations: IDisposable.Dispose, IEnumerable<T>.GetEnumerator
+        if (!this.isIdentifier()) return null;
+        const parts = [];
+
+        while (this.isIdentifier()) {
+            const startIndex = this.position;
+            this.next();
+            if (this.is('<') && this.looksLikeTypeArguments()) this.skipGroup();
+            parts.push(this.textBetween(startIndex, this.position));
+            if (this.is('.') && this.isIdentifier(1)) {
+                this.next();
+            } else {
+                break;
+            }
+        }
+
+        const name = parts.pop();
+        // A trailing generic list belongs to the member, not its name (Method<T>)
+        const bareName = name.replace(/\s*<.*$/, '');
+        if (bareName !== name) {
+            this.position -= 1;
+            while (!this.is('<')) this.position--;
+        }
+
+        return { name: bareName, explicitInterface: parts.length > 0 ? parts.join('.') : null };
+    }
+
+    // Reads a type reference and returns its normalized text, or null
+    readType() {
+        const startIndex = this.position;
+
+        if (this.is('(')) {
+            // Tuple types
+            if (!this.skipGroup()) {
+                this.position = startIndex;
+                return null;
+            }
+        } else {
+            if (!this.isIdentifier()) return null;
+            while (this.isIdentifier()) {
+                this.next();
+                if (this.is('<') && this.looksLikeTypeArguments()) this.skipGroup();
+                if ((this.is('.') || this.is('::')) && this.isIdentifier(1)) {
+                    this.next();
+                } else {
+                    break;
+                }
+            }
+        }
+
+        // Nullable, array and pointer suffixes
+        while (this.is('?') || this.is('*') || (this.is('[') && (this.is(']', 1) || this.is(',', 1)))) {
+            if (this.is('[')) this.skipGroup();
+            else this.next();
+        }
+
+        return this.textBetween(startIndex, this.position);
+    }
+
+    looksLikeTypeArguments() {
+        // Scan ahead for the matching '>' without crossing statement punctuation
+        let depth = 0;
+        for (let i = this.position; i < this.tokens.length; i++) {
+            const token = this.tokens[i];
+            if (token.type !== 'punct' && token.type !== 'identifier') return false;
+            if (token.value === '<') depth++;
+            else if (token.value === '>') {
+                depth--;
+                if (depth === 0) return true;
+            } else if (token.type === 'punct' && ![',', '.', '?', '[', ']', '(', ')', '*', '::'].includes(token.value)) {
+                return false;
+            }
+        }
+        return false;
+    }
+
+    parseTypeParameterList() {
+        const typeParameters = [];
+        if (!this.is('<') || !this.looksLikeTypeArguments()) return typeParameters;
+
+        this.next();
+        while (!this.atEnd() && !this.is('>')) {
+            this.skipAttributes();
+            const variance = this.is('in') || this.is('out') ? this.next().value : null;
+            const nameToken = this.next();
+            typeParameters.push({ name: nameToken.value, variance, constraints: [] });
+            this.expect(',');
+        }
+        this.expect('>');
+
+        return typeParameters;
+    }
+
+    parseConstraints(typeParameters) {
+        while (this.is('where') && this.isIdentifier(1) && this.is(':', 2)) {
+            this.next();
+            const name = this.next().value;
+            this.next();
+            const constraints = this.parseTypeList(['{', ';', '=>', 'where']);
+            const typeParameter = typeParameters.find(param => param.name === name);
+            if (typeParameter) typeParameter.constraints = constraints;
+        }
+    }
+
+    // Comma separated types (base lists, constraints) up to one of the terminators
+    parseTypeList(terminators) {
+        const types = [];
+        let startIndex = this.position;
+
+        while (!this.atEnd()) {
+            const token = this.peek();
+            const terminal = terminators.includes(token.value) && (token.type === 'punct' || token.value === 'where');
+            if (terminal || (token.type === 'punct' && token.value === ',')) {
+                const text = this.textBetween(startIndex, this.position);
+                if (text) types.push(text);
+                if (terminal) break;
+                this.next();
+                startIndex = this.position;
+            } else if (token.type === 'punct' && ['(', '[', '<'].includes(token.value)) {
+                if (!this.skipGroup()) break;
+            } else {
+                this.next();
+            }
+        }
+
+        return types;
+    }
+
+    parseParameterList() {
+        const close = this.next().value === '[' ? ']' : ')';
+        const parameters = [];
+
+        while (!this.atEnd() && !this.is(close)) {
+            const startIndex = this.position;
+            this.skipUntil([',', close]);
+            const endIndex = this.position;
+            parameters.push(this.parseParameter(startIndex, endIndex));
+            this.expect(',');
+        }
+        this.expect(close);
+
+        return parameters.filter(Boolean);
+    }
+
+    parseParameter(startIndex, endIndex) {
+        let index = startIndex;
+        // Attributes on parameters ([CallerMemberName] string name = "")
+        while (index < endIndex && this.tokens[index].value === '[') {
+            let depth = 0;
+            do {
+                if (this.tokens[index].value === '[') depth++;
+                if (this.tokens[index].value === ']') depth--;
+                index++;
+            } while (index < endIndex && depth > 0);
+        }
+
+        const modifiers = [];
+        while (index < endIndex && ['this', 'ref', 'out', 'in', 'params', 'scoped', 'readonly'].includes(this.tokens[index].value)
+            && this.tokens[index].type === 'identifier' && index + 1 < endIndex && this.tokens[index + 1].type !== 'punct') {
+            modifiers.push(this.tokens[index].value);
+            index++;
+        }
+
+        let defaultIndex = -1;
+        for (let i = index; i < endIndex; i++) {
+            if (this.tokens[i].type === 'punct' && this.tokens[i].value === '=') {
+                defaultIndex = i;
+                break;
+            }
+        }
+
+        const declarationEnd = defaultIndex === -1 ? endIndex : defaultIndex;
+        if (declarationEnd <= index) return null;
+
+        const nameToken = this.tokens[declarationEnd - 1];
+        const hasName = declarationEnd - index > 1 && nameToken.type === 'identifier';
+
+        return {
+            name: hasName ? nameToken.value : this.textBetween(index, declarationEnd),
+            type: hasName ? this.textBetween(index, declarationEnd - 1) : null,
+            modifiers,
+            defaultValue: defaultIndex === -1 ? null : this.textBetween(defaultIndex + 1, endIndex)
+        };
+    }
+
+    formatTypeParameters(typeParameters) {
+        return typeParameters && typeParameters.length > 0 ? `<${typeParameters.map(param => param.name).join(', ')}>` : '';
+    }
+
+    // Symbols
+
+    createSymbol(context, details) {
+        const { scope, modifiers, attributes, docComment, declarationStart } = context;
+        const containingTypes = scope.types.map(type => type.name);
+        const signatureStart = details.signatureStart !== undefined ? details.signatureStart : declarationStart;
+        const signatureText = this.textBetween(signatureStart, details.signatureEnd);
+        const signature = details.signatureStart !== undefined
+            ? `${modifiers.join(' ')} ${details.returnType} ${signatureText}`.trim()
+            : signatureText;
+
+        const symbol = {
+            kind: details.kind,
+            name: details.name,
+            displayName: details.displayName,
+            fullName: [scope.namespace, ...containingTypes, details.name].filter(Boolean).join('.'),
+            namespace: scope.namespace,
+            containingTypes,
+            accessibility: this.declaredAccessibility(modifiers, details.kind, scope.types, details.explicitInterface),
+            effectiveAccessibility: null,
+            modifiers,
+            typeParameters: details.typeParameters || [],
+            parameters: details.parameters || [],
+            returnType: details.returnType || null,
+            baseTypes: details.baseTypes || [],
+            explicitInterface: details.explicitInterface || null,
+            accessors: details.accessors || null,
+            attributes,
+            signature,
+            lineStart: (this.tokens[signatureStart] || this.peek(-1)).line,
+            lineEnd: null,
+            docComment: this.options.keepDocComments ? docComment : null
+        };
+        symbol.effectiveAccessibility = this.effectiveAccessibility(symbol, scope.types);
+
+        // Added in declaration order; types before their members
+        this.result.symbols.push(symbol);
+        return symbol;
+    }
+
+    finishSymbol(symbol) {
+        const lastToken = this.tokens[this.position - 1];
+        symbol.lineEnd = lastToken ? lastToken.line : symbol.lineStart;
+    }
+
+    declaredAccessibility(modifiers, kind, containers, explicitInterface) {
+        const declared = ['private protected', 'protected internal', 'public', 'private', 'protected', 'internal', 'file']
+            .find(accessibility => accessibility.split(' ').every(word => modifiers.includes(word)));
+        if (declared) return declared;
+
+        const container = containers[containers.length - 1];
+        if (!container) return 'internal';
+        if (explicitInterface) return 'private';
+        if (container.kind === 'interface' || container.kind === 'enum') return 'public';
+        return 'private';
+    }
+
+    effectiveAccessibility(symbol, containers) {
+        return [...containers, symbol]
+            .map(item => item.accessibility)
+            .reduce((weakest, accessibility) => (ACCESSIBILITY_RANK[accessibility] < ACCESSIBILITY_RANK[weakest] ? accessibility : weakest));
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const file = args.find(arg => !arg.startsWith('--'));
+
+    if (!file) {
+        console.error('Usage: node csharp-parser.js <file.cs> [--json]');
+        process.exit(1);
+    }
+
+    const parser = new CSharpParser({ keepDocComments: args.includes('--json') });
+    const result = parser.parse(fs.readFileSync(file, 'utf8'));
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        result.usings.forEach(using => console.log(`using ${using.static ? 'static ' : ''}${using.alias ? `${using.alias} = ` : ''}${using.name}`));
+        result.symbols.forEach(symbol => {
+            const depth = '  '.repeat(symbol.containingTypes.length);
+            console.log(`${depth}${symbol.kind} ${symbol.fullName} [${symbol.accessibility}] L${symbol.lineStart}-${symbol.lineEnd}: ${symbol.signature}`);
+        });
+    }
+}
+
+module.exports = CSharpParser;
\ No newline at end of file
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Documentation Config
+ *
+ * Finds racdocs.config.js or racdocs.config.json (the working directory, then its parents), validates it
+ * against schemas/racdocs-config.json and merges the selected profile into builder options
+ * Usage: node docs-config.js [--config racdocs.config.js] [--profile production]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv'); // npm install ajv
+
+const CONFIG_FILES = ['racdocs.config.js', 'racdocs.config.json'];
+
+// Options holding paths; the config file's directory is their base, not the working directory
+const PATH_OPTIONS = ['rootDir', 'outputFile', 'cacheFile', 'coverageFile', 'dependencyGraphFile', 'frontmatterSchema'];
+
+class DocsConfig {
+    constructor(options = {}) {
+        this.options = {
+            schemaFile: path.join(__dirname, '..', 'schemas', 'racdocs-config.json'),
+            ...options
+        };
+        this.validator = null;
+    }
+
+    // Nearest config file from startDir upwards
+    find(startDir = process.cwd()) {
+        let dir = path.resolve(startDir);
+        while (true) {
+            const found = CONFIG_FILES.map(file => path.join(dir, file)).find(file => fs.existsSync(file));
+            if (found) return found;
+
+            const parent = path.dirname(dir);
+            if (parent === dir) return null;
+            dir = parent;
+        }
+    }
+
+    load(configFile) {
+        const fullPath = path.resolve(configFile);
+        let config;
+        try {
+            config = fullPath.endsWith('.json')
+                ? JSON.parse(fs.readFileSync(fullPath, 'utf8'))
+                : require(fullPath);
+        } catch (error) {
+            throw new Error(`Cannot load config ${fullPath}: ${error.message}`);
+        }
+
+        this.validate(config, fullPath);
+        return config;
+    }
+
+    validate(config, configFile) {
+        if (!this.validator) {
+            const ajv = new Ajv({ allErrors: true, strict: false });
+            this.validator = ajv.compile(JSON.parse(fs.readFileSync(this.options.schemaFile, 'utf8')));
+        }
+
+        if (!this.validator(config)) {
+            const problems = this.validator.errors.map(error => {
+                const location = error.instancePath || '(root)';
+                let detail = error.message;
+                if (error.keyword === 'additionalProperties') detail = `unknown option "${error.params.additionalProperty}"`;
+                if (error.keyword === 'not') detail = 'a profile cannot define its own profiles';
+                return `${location}: ${detail}`;
+            });
+            throw new Error(`Invalid config ${configFile}:\n   ${[...new Set(problems)].join('\n   ')}`);
+        }
+    }
+
+    // Base options with the profile laid over them; nested objects merge, arrays are replaced
+    resolve(config, configFile, profileName = null) {
+        const { profiles = {}, $schema, ...base } = config;
+        if (profileName && !profiles[profileName]) {
+            const available = Object.keys(profiles);
+            throw new Error(`Unknown profile "${profileName}" in ${configFile}${available.length > 0 ? ` (available: ${available.join(', ')})` : ''}`);
+        }
+
+        const options = this.merge(base, profileName ? profiles[profileName] : {});
+        const configDir = path.dirname(path.resolve(configFile));
+        PATH_OPTIONS.forEach(option => {
+            if (typeof options[option] === 'string') {
+                options[option] = path.resolve(configDir, options[option]);
+            }
+        });
+
+        // Relative plugin modules ('./scripts/shader-processor.js'); package names stay as they are
+        const resolveModule = (name) => (name.startsWith('.') ? path.resolve(configDir, name) : name);
+        if (Array.isArray(options.plugins)) {
+            options.plugins = options.plugins.map(plugin => {
+                if (typeof plugin === 'string') return resolveModule(plugin);
+                return plugin.module ? { ...plugin, module: resolveModule(plugin.module) } : plugin;
+            });
+        }
+        return options;
+    }
+
+    merge(base, override) {
+        const merged = { ...base };
+        Object.entries(override).forEach(([key, value]) => {
+            const isObject = (item) => item && typeof item === 'object' && !Array.isArray(item);
+            merged[key] = isObject(value) && isObject(base[key]) ? this.merge(base[key], value) : value;
+        });
+        return merged;
+    }
+
+    // Builder options from the given or discovered config file; no config file means no options
+    loadOptions({ configFile = null, profile = null, cwd = process.cwd() } = {}) {
+        const file = configFile ? path.resolve(cwd, configFile) : this.find(cwd);
+        if (!file) {
+            if (profile) throw new Error(`Profile "${profile}" requested but no ${CONFIG_FILES.join(' or ')} was found`);
+            return { configFile: null, options: {} };
+        }
+
+        return { configFile: file, options: this.resolve(this.load(file), file, profile) };
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const configFile = args.includes('--config') ? args[args.indexOf('--config') + 1] : null;
+    const profile = args.includes('--profile') ? args[args.indexOf('--profile') + 1] : null;
+
+    try {
+        const { configFile: file, options } = new DocsConfig().loadOptions({ configFile, profile });
+        if (!file) {
+            console.log(`ℹ️  No ${CONFIG_FILES.join(' or ')} found; the builder uses its defaults`);
+        } else {
+            console.log(`⚙️  ${file}${profile ? ` (profile: ${profile})` : ''}`);
+            console.log(JSON.stringify(options, null, 2));
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = DocsConfig;
\ No newline at end of file
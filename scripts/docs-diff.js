@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+
+/**
+ * Documentation Diff
+ *
+ * Compares two docs.json builds (for example the builder output of two branches): added, removed and
+ * renamed documents, changed sections, new and dropped API cross-references and lost search terms
+ * Usage: node docs-diff.js <before/docs.json> <after/docs.json> [--format text|json] [--output diff.json] [--limit 20]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+class DocsDiff {
+    constructor(options = {}) {
+        this.options = {
+            renameSimilarity: 0.5, // Share of section ids two documents need in common to count as a rename
+            limit: 20,             // Entries per list in the text summary
+            ...options
+        };
+    }
+
+    // docs.json, docs.json.gz or a sharded manifest with its shards, search index and cross-reference files
+    load(docsFile) {
+        const readJson = (filePath) => {
+            const content = fs.readFileSync(filePath);
+            return JSON.parse(filePath.endsWith('.gz') ? zlib.gunzipSync(content).toString('utf8') : content.toString('utf8'));
+        };
+
+        const docs = readJson(docsFile);
+        if (!docs.metadata || docs.metadata.format !== 'sharded') return docs;
+
+        const outputDir = path.dirname(docsFile);
+        const documents = {};
+        Object.values(docs.shards || {}).forEach(shard => {
+            Object.assign(documents, readJson(path.join(outputDir, shard.file)).documents || {});
+        });
+
+        const readPart = (part) => (part && part.file ? readJson(path.join(outputDir, part.file)) : part);
+        return { ...docs, documents, searchIndex: readPart(docs.searchIndex), crossReferences: readPart(docs.crossReferences) };
+    }
+
+    compare(before, after) {
+        const beforeDocs = before.documents || {};
+        const afterDocs = after.documents || {};
+
+        const removedKeys = Object.keys(beforeDocs).filter(key => !afterDocs[key]);
+        const addedKeys = Object.keys(afterDocs).filter(key => !beforeDocs[key]);
+        const renamed = this.findRenames(removedKeys, addedKeys, beforeDocs, afterDocs);
+        const renamedFrom = new Set(renamed.map(rename => rename.from));
+        const renamedTo = new Set(renamed.map(rename => rename.to));
+
+        // Renamed documents compare against their old key; everything else against the same key
+        const pairs = [
+            ...Object.keys(afterDocs).filter(key => beforeDocs[key]).map(key => [key, key]),
+            ...renamed.map(rename => [rename.from, rename.to])
+        ];
+        const changed = pairs
+            .map(([beforeKey, afterKey]) => this.compareDocuments(beforeDocs[beforeKey], afterDocs[afterKey]))
+            .filter(Boolean)
+            .sort((a, b) => a.key.localeCompare(b.key));
+
+        const renameMap = new Map(renamed.map(rename => [rename.from, rename.to]));
+        const crossReferences = this.compareCrossReferences(before.crossReferences || {}, after.crossReferences || {}, renameMap);
+        const searchTerms = this.compareSearchTerms(before.searchIndex, after.searchIndex);
+
+        const summarize = (doc) => ({ key: doc.key, title: doc.title, type: doc.type, path: doc.path });
+        const added = addedKeys.filter(key => !renamedTo.has(key)).sort().map(key => summarize(afterDocs[key]));
+        const removed = removedKeys.filter(key => !renamedFrom.has(key)).sort().map(key => summarize(beforeDocs[key]));
+
+        return {
+            before: this.describeBuild(before),
+            after: this.describeBuild(after),
+            summary: {
+                addedDocuments: added.length,
+                removedDocuments: removed.length,
+                renamedDocuments: renamed.length,
+                changedDocuments: changed.length,
+                addedSections: changed.reduce((total, doc) => total + doc.sections.added.length, 0),
+                removedSections: changed.reduce((total, doc) => total + doc.sections.removed.length, 0),
+                changedSections: changed.reduce((total, doc) => total + doc.sections.changed.length, 0),
+                addedApis: crossReferences.addedApis.length,
+                removedApis: crossReferences.removedApis.length,
+                addedReferences: crossReferences.addedReferences.length,
+                droppedReferences: crossReferences.droppedReferences.length,
+                removedSearchTerms: searchTerms.removed.length,
+                addedSearchTerms: searchTerms.added
+            },
+            documents: { added, removed, renamed, changed },
+            crossReferences,
+            searchTerms
+        };
+    }
+
+    describeBuild(docs) {
+        const metadata = docs.metadata || {};
+        return {
+            buildTime: metadata.buildTime || null,
+            version: metadata.version || null,
+            documents: Object.keys(docs.documents || {}).length
+        };
+    }
+
+    // A key change with the same path is a rename (type or key rules changed); a moved file is one when
+    // its title and most of its sections carried over
+    findRenames(removedKeys, addedKeys, beforeDocs, afterDocs) {
+        const renames = [];
+        const available = new Set(addedKeys);
+
+        const addedByPath = new Map();
+        addedKeys.forEach(key => {
+            const docPath = afterDocs[key].path;
+            if (docPath && !addedByPath.has(docPath)) addedByPath.set(docPath, key);
+        });
+
+        const unmatched = [];
+        removedKeys.forEach(key => {
+            const match = addedByPath.get(beforeDocs[key].path);
+            if (match && available.has(match) && beforeDocs[key].type !== 'api') {
+                available.delete(match);
+                renames.push({ from: key, to: match, fromPath: beforeDocs[key].path, toPath: afterDocs[match].path, similarity: 1 });
+            } else {
+                unmatched.push(key);
+            }
+        });
+
+        unmatched.forEach(key => {
+            const doc = beforeDocs[key];
+            let best = null;
+            available.forEach(candidate => {
+                const other = afterDocs[candidate];
+                if (other.title !== doc.title || other.type !== doc.type) return;
+
+                const similarity = this.sectionSimilarity(doc, other);
+                if (similarity >= this.options.renameSimilarity && (!best || similarity > best.similarity)) {
+                    best = { key: candidate, similarity };
+                }
+            });
+
+            if (best) {
+                available.delete(best.key);
+                renames.push({ from: key, to: best.key, fromPath: doc.path, toPath: afterDocs[best.key].path, similarity: Math.round(best.similarity * 100) / 100 });
+            }
+        });
+
+        return renames.sort((a, b) => a.from.localeCompare(b.from));
+    }
+
+    sectionSimilarity(a, b) {
+        const idsA = new Set((a.sections || []).map(section => section.id));
+        const idsB = new Set((b.sections || []).map(section => section.id));
+        if (idsA.size === 0 && idsB.size === 0) return 1;
+
+        const shared = [...idsA].filter(id => idsB.has(id)).length;
+        return shared / (idsA.size + idsB.size - shared);
+    }
+
+    compareDocuments(before, after) {
+        const fields = ['title', 'type', 'path'].filter(field => before[field] !== after[field])
+            .map(field => ({ field, before: before[field], after: after[field] }));
+
+        const beforeSections = this.indexSections(before);
+        const afterSections = this.indexSections(after);
+        const sections = {
+            added: [...afterSections.keys()].filter(id => !beforeSections.has(id))
+                .map(id => ({ id, heading: afterSections.get(id).heading })),
+            removed: [...beforeSections.keys()].filter(id => !afterSections.has(id))
+                .map(id => ({ id, heading: beforeSections.get(id).heading })),
+            changed: [...afterSections.keys()]
+                .filter(id => beforeSections.has(id) && beforeSections.get(id).hash !== afterSections.get(id).hash)
+                .map(id => ({ id, heading: afterSections.get(id).heading }))
+        };
+
+        if (fields.length === 0 && sections.added.length === 0 && sections.removed.length === 0 && sections.changed.length === 0) {
+            return null;
+        }
+        return {
+            key: after.key,
+            ...(before.key !== after.key ? { previousKey: before.key } : {}),
+            title: after.title,
+            path: after.path,
+            fields,
+            sections
+        };
+    }
+
+    // Section id -> heading and content hash; repeated ids get an occurrence suffix
+    indexSections(doc) {
+        const sections = new Map();
+        (doc.sections || []).forEach(section => {
+            let id = section.id || section.heading || '';
+            for (let occurrence = 2; sections.has(id); occurrence++) {
+                id = `${section.id}~${occurrence}`;
+            }
+
+            const hash = crypto.createHash('sha1')
+                .update(JSON.stringify([section.heading, section.level, section.content, section.codeBlocks || []]))
+                .digest('hex');
+            sections.set(id, { heading: section.heading, hash });
+        });
+        return sections;
+    }
+
+    // References are compared per referencing document, so moved lines inside a document are not churn
+    compareCrossReferences(before, after, renameMap) {
+        const referencingDocs = (entry, mapKey = key => key) => new Set(
+            (entry.references || []).map(reference => mapKey(reference.documentKey))
+        );
+        const renamedKey = (key) => renameMap.get(key) || key;
+
+        const addedApis = Object.keys(after).filter(api => !before[api]).sort()
+            .map(api => ({ api, definition: (after[api].definition || {}).documentKey || null, references: (after[api].references || []).length }));
+        const removedApis = Object.keys(before).filter(api => !after[api]).sort()
+            .map(api => ({ api, definition: (before[api].definition || {}).documentKey || null, references: (before[api].references || []).length }));
+
+        const addedReferences = [];
+        const droppedReferences = [];
+        Object.keys(after).filter(api => before[api]).sort().forEach(api => {
+            const beforeDocs = referencingDocs(before[api], renamedKey);
+            const afterDocs = referencingDocs(after[api]);
+            afterDocs.forEach(documentKey => {
+                if (!beforeDocs.has(documentKey)) addedReferences.push({ api, documentKey });
+            });
+            beforeDocs.forEach(documentKey => {
+                if (!afterDocs.has(documentKey)) droppedReferences.push({ api, documentKey });
+            });
+        });
+
+        return { addedApis, removedApis, addedReferences, droppedReferences };
+    }
+
+    // Terms a search used to find; new terms are only counted
+    compareSearchTerms(before, after) {
+        const termsOf = (searchIndex) => new Set(Object.keys((searchIndex && searchIndex.terms) || {}));
+        const beforeTerms = termsOf(before);
+        const afterTerms = termsOf(after);
+
+        return {
+            removed: [...beforeTerms].filter(term => !afterTerms.has(term)).sort(),
+            added: [...afterTerms].filter(term => !beforeTerms.has(term)).length
+        };
+    }
+
+    formatText(diff) {
+        const { summary, documents, crossReferences, searchTerms } = diff;
+        const limit = this.options.limit;
+        const lines = [];
+        const list = (items, format) => {
+            items.slice(0, limit).forEach(item => lines.push(`   ${format(item)}`));
+            if (items.length > limit) lines.push(`   … and ${items.length - limit} more`);
+        };
+
+        lines.push(`📚 ${diff.before.documents} → ${diff.after.documents} documents`);
+
+        if (documents.added.length > 0) {
+            lines.push(`\n➕ Added documents (${documents.added.length}):`);
+            list(documents.added, doc => `+ ${doc.key} (${doc.type}, ${doc.path})`);
+        }
+        if (documents.removed.length > 0) {
+            lines.push(`\n➖ Removed documents (${documents.removed.length}):`);
+            list(documents.removed, doc => `- ${doc.key} (${doc.type}, ${doc.path})`);
+        }
+        if (documents.renamed.length > 0) {
+            lines.push(`\n🔀 Renamed documents (${documents.renamed.length}):`);
+            list(documents.renamed, rename => `${rename.from} → ${rename.to}${rename.fromPath !== rename.toPath ? ` (${rename.fromPath} → ${rename.toPath})` : ''}`);
+        }
+        if (documents.changed.length > 0) {
+            lines.push(`\n✏️  Changed documents (${documents.changed.length}; sections +${summary.addedSections} -${summary.removedSections} ~${summary.changedSections}):`);
+            list(documents.changed, doc => {
+                const parts = [
+                    ...doc.fields.map(change => `${change.field}: ${change.before} → ${change.after}`),
+                    ...doc.sections.added.map(section => `+${section.heading}`),
+                    ...doc.sections.removed.map(section => `-${section.heading}`),
+                    ...doc.sections.changed.map(section => `~${section.heading}`)
+                ];
+                const shown = parts.slice(0, 5).join(', ');
+                return `${doc.key}: ${shown}${parts.length > 5 ? `, … ${parts.length - 5} more` : ''}`;
+            });
+        }
+
+        if (crossReferences.addedApis.length > 0) {
+            lines.push(`\n🆕 New cross-referenced APIs (${crossReferences.addedApis.length}):`);
+            list(crossReferences.addedApis, entry => `+ ${entry.api} (${entry.references} references)`);
+        }
+        if (crossReferences.removedApis.length > 0) {
+            lines.push(`\n🗑️  Dropped cross-referenced APIs (${crossReferences.removedApis.length}):`);
+            list(crossReferences.removedApis, entry => `- ${entry.api} (had ${entry.references} references)`);
+        }
+        if (crossReferences.addedReferences.length > 0 || crossReferences.droppedReferences.length > 0) {
+            lines.push(`\n🔗 References: +${crossReferences.addedReferences.length} -${crossReferences.droppedReferences.length}`);
+            list(crossReferences.droppedReferences, reference => `- ${reference.api} no longer referenced by ${reference.documentKey}`);
+        }
+
+        if (searchTerms.removed.length > 0) {
+            lines.push(`\n🔍 Search terms that disappeared (${searchTerms.removed.length}, ${searchTerms.added} new):`);
+            lines.push(`   ${searchTerms.removed.slice(0, limit * 5).join(', ')}${searchTerms.removed.length > limit * 5 ? ` … and ${searchTerms.removed.length - limit * 5} more` : ''}`);
+        } else {
+            lines.push(`\n🔍 No search terms disappeared (${searchTerms.added} new)`);
+        }
+
+        const unchanged = Object.entries(summary).every(([key, value]) => key === 'addedSearchTerms' || value === 0);
+        if (unchanged) lines.push('\n✅ No documentation changes');
+
+        return lines.join('\n');
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const flagsWithValues = ['--format', '--output', '--limit'];
+    const valueOf = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : null);
+    const files = args.filter((arg, index) => !arg.startsWith('--') && !flagsWithValues.includes(args[index - 1]));
+    const format = valueOf('--format') || 'text';
+    const outputFile = valueOf('--output');
+
+    if (files.length !== 2 || !['text', 'json'].includes(format)) {
+        console.error('Usage: node docs-diff.js <before/docs.json> <after/docs.json> [--format text|json] [--output diff.json] [--limit 20]');
+        process.exit(1);
+    }
+
+    const differ = new DocsDiff(valueOf('--limit') ? { limit: parseInt(valueOf('--limit'), 10) } : {});
+    let diff;
+    try {
+        diff = differ.compare(differ.load(files[0]), differ.load(files[1]));
+    } catch (error) {
+        console.error(`❌ Cannot compare builds: ${error.message}`);
+        process.exit(1);
+    }
+
+    // --output always gets the JSON report; the summary still goes to the console
+    if (outputFile) {
+        fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+        fs.writeFileSync(outputFile, JSON.stringify(diff, null, 2));
+    }
+
+    if (format === 'json') {
+        if (!outputFile) process.stdout.write(`${JSON.stringify(diff, null, 2)}\n`);
+    } else {
+        console.log(differ.formatText(diff));
+    }
+    if (outputFile) console.log(`📝 Wrote diff to ${outputFile}`);
+}
+
+module.exports = DocsDiff;
\ No newline at end of file
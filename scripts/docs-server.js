@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+
+/**
+ * Documentation Server
+ *
+ * Serves docs-viewer.html and the generated docs.json (plus shards and pre-compressed
+ * .br/.gz variants) with Node's built-in http module, and pushes rebuild notifications
+ * to open viewers over Server-Sent Events
+ * Usage: node docs-server.js [--docs ./public/docs.json] [--port 8080]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+// Preferred first; matches the variants build-unified-docs.js --compress writes
+const COMPRESSED_VARIANTS = [
+    ['br', '.br'],
+    ['gzip', '.gz']
+];
+
+class DocumentationServer {
+    constructor(options = {}) {
+        this.options = {
+            port: options.port || 8080,
+            host: options.host || 'localhost',
+            docsFile: options.docsFile || './public/docs.json',
+            viewerFile: options.viewerFile || path.join(__dirname, '..', 'docs-viewer.html'),
+            heartbeatInterval: options.heartbeatInterval || 30000,
+            ...options
+        };
+
+        this.server = null;
+        this.clients = new Set();
+        this.heartbeat = null;
+    }
+
+    start() {
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+
+        // Keep idle event streams open through proxies that drop silent connections
+        this.heartbeat = setInterval(() => {
+            this.clients.forEach(client => client.write(': heartbeat\n\n'));
+        }, this.options.heartbeatInterval);
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                const address = this.server.address();
+                console.log(`🌐 Serving documentation at http://${this.options.host}:${address.port}/`);
+                resolve(address);
+            });
+        });
+    }
+
+    stop() {
+        clearInterval(this.heartbeat);
+        this.clients.forEach(client => client.end());
+        this.clients.clear();
+
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+        });
+    }
+
+    notify(event, data = {}) {
+        const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        this.clients.forEach(client => client.write(payload));
+
+        if (this.clients.size > 0) {
+            console.log(`📣 Notified ${this.clients.size} viewer(s) of ${event}`);
+        }
+    }
+
+    handleRequest(request, response) {
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        } catch (error) {
+            response.writeHead(400);
+            response.end('Bad request');
+            return;
+        }
+
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            response.writeHead(405, { Allow: 'GET, HEAD' });
+            response.end();
+            return;
+        }
+
+        if (pathname === '/events') {
+            this.openEventStream(request, response);
+        } else if (pathname === '/' || pathname === '/index.html' || pathname === '/docs-viewer.html') {
+            this.sendFile(request, response, this.options.viewerFile);
+        } else if (pathname === '/docs.json') {
+            this.sendFile(request, response, this.options.docsFile);
+        } else {
+            // Anything else comes from next to docs.json (shards, exported assets)
+            const outputDir = path.resolve(path.dirname(this.options.docsFile));
+            const filePath = path.resolve(outputDir, `.${pathname}`);
+
+            if (!filePath.startsWith(outputDir + path.sep)) {
+                response.writeHead(403);
+                response.end('Forbidden');
+                return;
+            }
+            this.sendFile(request, response, filePath);
+        }
+    }
+
+    openEventStream(request, response) {
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        response.write('retry: 2000\n\n');
+
+        this.clients.add(response);
+        request.on('close', () => this.clients.delete(response));
+    }
+
+    sendFile(request, response, filePath) {
+        fs.stat(filePath, (error, stats) => {
+            if (error || !stats.isFile()) {
+                response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                response.end(`Not found: ${path.basename(filePath)}`);
+                return;
+            }
+
+            const ext = path.extname(filePath).toLowerCase();
+            const variant = this.findCompressedVariant(request, filePath, stats);
+            const headers = {
+                'Content-Type': CONTENT_TYPES[ext] || 'application/octet-stream',
+                'Content-Length': variant ? variant.size : stats.size,
+                'Cache-Control': 'no-cache',
+                Vary: 'Accept-Encoding'
+            };
+            if (variant) {
+                headers['Content-Encoding'] = variant.encoding;
+            }
+
+            if (request.method === 'HEAD') {
+                response.writeHead(200, headers);
+                response.end();
+                return;
+            }
+
+            // A rebuild may replace or remove the file between stat and read; the 200 waits until it opens
+            const stream = fs.createReadStream(variant ? variant.path : filePath);
+            stream.on('open', () => {
+                response.writeHead(200, headers);
+                stream.pipe(response);
+            });
+            stream.on('error', streamError => {
+                if (response.headersSent) {
+                    response.destroy();
+                } else if (streamError.code === 'ENOENT') {
+                    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                    response.end(`Not found: ${path.basename(filePath)}`);
+                } else {
+                    response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+                    response.end('Internal server error');
+                }
+            });
+        });
+    }
+
+    // Pick a pre-compressed .br/.gz sibling written by --compress that the client accepts
+    findCompressedVariant(request, filePath, stats) {
+        const accepted = this.parseAcceptEncoding(request.headers['accept-encoding'] || '');
+
+        for (const [encoding, suffix] of COMPRESSED_VARIANTS) {
+            if (!accepted.has(encoding) && !accepted.has('*')) continue;
+
+            const variantPath = `${filePath}${suffix}`;
+            try {
+                const variantStats = fs.statSync(variantPath);
+                // Ignore variants left behind by an older build of the same file
+                if (variantStats.isFile() && variantStats.mtimeMs >= stats.mtimeMs) {
+                    return { encoding, path: variantPath, size: variantStats.size };
+                }
+            } catch (error) {
+                // No variant for this encoding
+            }
+        }
+
+        return null;
+    }
+
+    parseAcceptEncoding(header) {
+        const accepted = new Set();
+
+        header.split(',').forEach(part => {
+            const [name, ...params] = part.trim().toLowerCase().split(';');
+            const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            if (name && !(quality && Number(quality.slice(2)) === 0)) {
+                accepted.add(name);
+            }
+        });
+
+        return accepted;
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--docs':
+                options.docsFile = args[++i];
+                break;
+            case '--port':
+                options.port = Number(args[++i]);
+                break;
+            case '--host':
+                options.host = args[++i];
+                break;
+            case '--viewer':
+                options.viewerFile = args[++i];
+                break;
+        }
+    }
+
+    const server = new DocumentationServer(options);
+    server.start().catch(error => {
+        console.error('❌ Server failed to start:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = DocumentationServer;
\ No newline at end of file
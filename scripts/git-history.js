@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Git History
+ *
+ * Last commit (hash, date, author) for every file in the local git history, so documents carry
+ * dates that survive a clone instead of checkout-time file modification times
+ * Usage: node git-history.js [--root ../] [path ...]
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+class GitHistory {
+    constructor(options = {}) {
+        this.options = {
+            rootDir: '../',
+            ...options
+        };
+
+        this.available = false;
+        this.commits = new Map();
+        this.modified = new Set();
+    }
+
+    // One git log for the whole tree; the newest commit touching a path wins
+    load() {
+        const rootDir = path.resolve(this.options.rootDir);
+        this.available = false;
+        this.commits = new Map();
+        this.modified = new Set();
+
+        let log;
+        let status;
+        let prefix;
+        try {
+            const topLevel = this.git(rootDir, ['rev-parse', '--show-toplevel']).trim();
+            prefix = path.relative(topLevel, rootDir).replace(/\\/g, '/');
+            log = this.git(rootDir, ['-c', 'core.quotePath=false', 'log', '--format=%x1e%H%x09%aI%x09%an', '--name-only', '--no-renames']);
+            status = this.git(rootDir, ['status', '--porcelain=v1', '-z', '--untracked-files=all']);
+        } catch (error) {
+            // Not a repository, or git is not installed
+            return this;
+        }
+
+        // Paths from git are relative to the top level; documents are relative to rootDir
+        const toRootPath = (gitPath) => {
+            if (!prefix) return gitPath;
+            return gitPath.startsWith(`${prefix}/`) ? gitPath.slice(prefix.length + 1) : null;
+        };
+
+        log.split('\x1e').filter(Boolean).forEach(record => {
+            const [header, ...files] = record.split('\n');
+            const [hash, date, author] = header.split('\t');
+            files.filter(Boolean).forEach(file => {
+                const filePath = toRootPath(file);
+                if (filePath && !this.commits.has(filePath)) {
+                    this.commits.set(filePath, { hash, date, author });
+                }
+            });
+        });
+
+        // "XY path" entries; renames and copies are followed by their original path
+        const entries = status.split('\0');
+        for (let i = 0; i < entries.length; i++) {
+            if (entries[i].length < 4) continue;
+            const filePath = toRootPath(entries[i].slice(3));
+            if (filePath) this.modified.add(filePath);
+            if (/^[RC]/.test(entries[i])) i++;
+        }
+
+        this.available = true;
+        return this;
+    }
+
+    git(cwd, args) {
+        return execFileSync('git', args, { cwd, encoding: 'utf8', maxBuffer: 256 * 1024 * 1024, stdio: ['ignore', 'pipe', 'ignore'] });
+    }
+
+    lastCommit(filePath) {
+        return this.commits.get(filePath.replace(/\\/g, '/')) || null;
+    }
+
+    // Edited or untracked in the working tree, so the last commit is not the current content
+    isModified(filePath) {
+        return this.modified.has(filePath.replace(/\\/g, '/'));
+    }
+
+    // Newest commit touching anything under a directory (src/Rac.ECS/)
+    latestUnder(directory) {
+        const prefix = directory.replace(/\\/g, '/').replace(/\/?$/, '/');
+        let latest = null;
+        this.commits.forEach((commit, filePath) => {
+            if (filePath.startsWith(prefix) && (!latest || new Date(commit.date) > new Date(latest.date))) {
+                latest = { ...commit, path: filePath };
+            }
+        });
+        return latest;
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const rootIndex = args.indexOf('--root');
+    const rootDir = rootIndex >= 0 ? args[rootIndex + 1] : '../';
+    const paths = args.filter((arg, index) => rootIndex < 0 || (index !== rootIndex && index !== rootIndex + 1));
+
+    const history = new GitHistory({ rootDir }).load();
+    if (!history.available) {
+        console.error(`❌ No git history found in ${path.resolve(rootDir)}`);
+        process.exit(1);
+    }
+
+    (paths.length > 0 ? paths : Array.from(history.commits.keys()).sort()).forEach(filePath => {
+        const commit = history.lastCommit(filePath);
+        const state = history.isModified(filePath) ? ' (modified)' : '';
+        console.log(commit
+            ? `${commit.date}  ${commit.hash.slice(0, 8)}  ${commit.author}  ${filePath}${state}`
+            : `(not committed)  ${filePath}${state}`);
+    });
+}
+
+module.exports = GitHistory;
\ No newline at end of file
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Heading Slugger
+ *
+ * Section ids for the headings of one document, shared by the builder's sections and the static
+ * site's page anchors: lowercase, punctuation dropped, spaces to hyphens, and repeated headings
+ * numbered -1, -2 the way GitHub anchors them. Use one instance per document.
+ * Usage: node heading-slugger.js "Setup" "Setup" "Usage"
+ */
+
+class HeadingSlugger {
+    constructor() {
+        this.usedIds = new Set();
+    }
+
+    // Id for the next heading of the document; "Setup" twice gives setup, setup-1
+    slug(headingText) {
+        const baseId = this.slugify(headingText);
+        let id = baseId;
+        for (let count = 1; this.usedIds.has(id); count++) {
+            id = `${baseId}-${count}`;
+        }
+
+        this.usedIds.add(id);
+        return id;
+    }
+
+    slugify(headingText) {
+        return String(headingText)
+            .toLowerCase()
+            .replace(/[^a-z0-9\s-]/g, '')
+            .replace(/\s+/g, '-')
+            .trim();
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const slugger = new HeadingSlugger();
+
+    process.argv.slice(2).forEach(heading => console.log(slugger.slug(heading)));
+}
+
+module.exports = HeadingSlugger;
\ No newline at end of file
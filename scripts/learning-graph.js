@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+
+/**
+ * Learning Graph
+ *
+ * Resolves the prerequisites, nextSteps, seeAlso and relatedConcepts frontmatter of each document to
+ * document keys, finds prerequisite cycles and orders the learning path folders into guided
+ * "start here -> next" paths
+ * Usage: node learning-graph.js [docs.json] [--root ../]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Frontmatter field -> relation name on the edges
+const RELATIONS = {
+    prerequisites: 'prerequisite',
+    nextSteps: 'next',
+    seeAlso: 'see-also',
+    relatedConcepts: 'related'
+};
+
+const DIFFICULTY_RANK = { beginner: 0, intermediate: 1, advanced: 2, expert: 3 };
+
+class LearningGraph {
+    constructor(options = {}) {
+        this.options = {
+            rootDir: '../',
+            paths: ['docs/educational-material', 'docs/user-guides'], // folders ordered into guided paths
+            ...options
+        };
+    }
+
+    build(documents) {
+        const docs = Object.values(documents).filter(doc => doc.path && !doc.key.startsWith('api.'));
+        const index = this.indexDocuments(documents, docs);
+        const graph = { nodes: {}, edges: [], knowledge: [], unresolved: [], cycles: [], paths: [] };
+
+        docs.forEach(doc => {
+            const frontmatter = doc.frontmatter || {};
+            Object.entries(RELATIONS).forEach(([field, relation]) => {
+                const targets = Array.isArray(frontmatter[field]) ? frontmatter[field] : [];
+                targets.filter(target => typeof target === 'string' && target.trim()).forEach(target => {
+                    const resolved = this.resolveTarget(doc, target.trim(), index);
+                    if (resolved.key) {
+                        graph.edges.push({ from: doc.key, to: resolved.key, relation, target, ...(resolved.anchor ? { anchor: resolved.anchor } : {}) });
+                    } else if (resolved.url) {
+                        graph.edges.push({ from: doc.key, to: null, url: resolved.url, relation, target });
+                    } else if (resolved.dangling) {
+                        graph.unresolved.push({ from: doc.key, path: doc.path, line: this.findLine(doc, target), relation, target });
+                    } else {
+                        // "Basic C# knowledge", "Entity Component System": not a document, nothing to link
+                        graph.knowledge.push({ from: doc.key, relation, text: target });
+                    }
+                });
+            });
+        });
+
+        const inPath = (doc) => this.options.paths.some(dir => doc.path.startsWith(`${dir.replace(/\/$/, '')}/`));
+        const nodeKeys = new Set(docs.filter(inPath).map(doc => doc.key));
+        graph.edges.filter(edge => edge.to).forEach(edge => {
+            nodeKeys.add(edge.from);
+            nodeKeys.add(edge.to);
+        });
+        nodeKeys.forEach(key => {
+            const doc = documents[key];
+            graph.nodes[key] = {
+                title: doc.title,
+                path: doc.path,
+                type: doc.type,
+                difficulty: (doc.frontmatter && doc.frontmatter.difficulty) || null,
+                estimatedTime: (doc.frontmatter && doc.frontmatter.estimatedTime) || null
+            };
+        });
+
+        graph.cycles = this.findCycles(graph);
+        graph.paths = this.options.paths
+            .map(dir => this.buildPath(dir.replace(/\/$/, ''), graph))
+            .filter(learningPath => learningPath.steps.length > 0);
+        return graph;
+    }
+
+    indexDocuments(documents, docs) {
+        const byTitle = new Map();
+        docs.forEach(doc => {
+            const title = String(doc.title || '').toLowerCase();
+            if (title && !byTitle.has(title)) byTitle.set(title, doc.key);
+        });
+
+        const byApiName = new Map();
+        Object.values(documents)
+            .filter(doc => doc.key.startsWith('api.') && doc.fullName)
+            .forEach(doc => byApiName.set(doc.fullName, doc.key));
+
+        return {
+            documents,
+            byPath: new Map(docs.map(doc => [doc.path, doc.key])),
+            byTitle,
+            byApiName,
+            keyRoots: new Set(Object.keys(documents).map(key => key.split('.')[0]))
+        };
+    }
+
+    // { key, anchor } | { url } | { dangling: true } for a document that does not exist | {} for free text
+    resolveTarget(doc, target, index) {
+        // Only web links leave the docs; javascript:, data: and other schemes are never linked
+        if (/^https?:\/\//i.test(target)) return { url: target };
+        if (/^[a-z][a-z0-9+.-]*:/i.test(target)) return { dangling: true };
+
+        const [targetPath, anchor = null] = target.split('#');
+        const looksLikePath = /\.md$/i.test(targetPath) || targetPath.includes('/');
+        if (looksLikePath && !/\s/.test(targetPath)) {
+            // Relative to the document first, then to the repository root (docs/user-guides/x.md)
+            const candidates = targetPath.startsWith('/')
+                ? [targetPath.slice(1)]
+                : [path.posix.join(path.posix.dirname(doc.path), targetPath), path.posix.normalize(targetPath)];
+            const found = candidates
+                .flatMap(candidate => [candidate, `${candidate.replace(/\/$/, '')}/index.md`])
+                .find(candidate => index.byPath.has(candidate));
+            return found ? { key: index.byPath.get(found), anchor } : { dangling: true };
+        }
+
+        if (index.documents[targetPath]) return { key: targetPath, anchor };
+        const byTitle = index.byTitle.get(target.toLowerCase());
+        if (byTitle) return { key: byTitle, anchor: null };
+        const byApiName = index.byApiName.get(target);
+        if (byApiName) return { key: byApiName, anchor: null };
+
+        // docs.user-guides.instalation-guide: a document key that does not exist
+        if (/^[\w-]+(\.[\w-]+)+$/.test(targetPath) && index.keyRoots.has(targetPath.split('.')[0])) {
+            return { dangling: true };
+        }
+        return {};
+    }
+
+    // Line of the target in the frontmatter block, for diagnostics
+    findLine(doc, target) {
+        try {
+            const lines = fs.readFileSync(path.resolve(this.options.rootDir, doc.path), 'utf8').split('\n');
+            const end = lines.indexOf('---', 1);
+            const line = lines.slice(0, end > 0 ? end : lines.length).findIndex(text => text.includes(target));
+            return line >= 0 ? line + 1 : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // "A must come before B": A is a prerequisite of B, or B is a next step of A
+    orderEdges(graph) {
+        return graph.edges
+            .filter(edge => edge.to)
+            .map(edge => {
+                if (edge.relation === 'prerequisite') return { before: edge.to, after: edge.from };
+                if (edge.relation === 'next') return { before: edge.from, after: edge.to };
+                return null;
+            })
+            .filter(Boolean);
+    }
+
+    // Strongly connected components of the ordering edges; a prerequisite loop has no starting point
+    findCycles(graph) {
+        const adjacency = new Map(Object.keys(graph.nodes).map(key => [key, []]));
+        this.orderEdges(graph).forEach(edge => adjacency.get(edge.before).push(edge.after));
+
+        const cycles = [];
+        const indexes = new Map();
+        const lowLinks = new Map();
+        const stack = [];
+        const onStack = new Set();
+        let counter = 0;
+
+        const visit = (key) => {
+            indexes.set(key, counter);
+            lowLinks.set(key, counter);
+            counter++;
+            stack.push(key);
+            onStack.add(key);
+
+            adjacency.get(key).forEach(next => {
+                if (!indexes.has(next)) {
+                    visit(next);
+                    lowLinks.set(key, Math.min(lowLinks.get(key), lowLinks.get(next)));
+                } else if (onStack.has(next)) {
+                    lowLinks.set(key, Math.min(lowLinks.get(key), indexes.get(next)));
+                }
+            });
+
+            if (lowLinks.get(key) === indexes.get(key)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== key);
+
+                if (component.length > 1 || adjacency.get(key).includes(key)) {
+                    cycles.push(component.sort());
+                }
+            }
+        };
+
+        Array.from(adjacency.keys()).sort().forEach(key => {
+            if (!indexes.has(key)) visit(key);
+        });
+        return cycles;
+    }
+
+    // Documents of one folder in dependency order; the folder's index starts the path, ties go easiest first
+    buildPath(dir, graph) {
+        const members = Object.keys(graph.nodes).filter(key => graph.nodes[key].path.startsWith(`${dir}/`));
+        const memberSet = new Set(members);
+        const edges = this.orderEdges(graph).filter(edge => memberSet.has(edge.before) && memberSet.has(edge.after));
+
+        const priority = (key) => {
+            const node = graph.nodes[key];
+            const isIndex = /(^|\/)(index|readme)\.md$/i.test(node.path);
+            const rank = node.difficulty in DIFFICULTY_RANK ? DIFFICULTY_RANK[node.difficulty] : 1;
+            return [isIndex ? 0 : 1, rank, String(node.title).toLowerCase()];
+        };
+        const compare = (a, b) => {
+            const [pa, pb] = [priority(a), priority(b)];
+            return pa[0] - pb[0] || pa[1] - pb[1] || pa[2].localeCompare(pb[2]);
+        };
+
+        // Kahn's algorithm; members of a prerequisite cycle are appended at the end
+        const incoming = new Map(members.map(key => [key, 0]));
+        edges.forEach(edge => incoming.set(edge.after, incoming.get(edge.after) + 1));
+        const ready = members.filter(key => incoming.get(key) === 0);
+        const order = [];
+        while (ready.length > 0) {
+            ready.sort(compare);
+            const key = ready.shift();
+            order.push(key);
+            edges.filter(edge => edge.before === key).forEach(edge => {
+                incoming.set(edge.after, incoming.get(edge.after) - 1);
+                if (incoming.get(edge.after) === 0) ready.push(edge.after);
+            });
+        }
+        members.filter(key => !order.includes(key)).sort(compare).forEach(key => order.push(key));
+
+        const linked = (key, relation, reverse = false) => graph.edges
+            .filter(edge => edge.to && edge.relation === relation && (reverse ? edge.to === key : edge.from === key))
+            .map(edge => (reverse ? edge.from : edge.to));
+
+        const indexKey = order.find(key => /(^|\/)(index|readme)\.md$/i.test(graph.nodes[key].path));
+        return {
+            directory: dir,
+            title: indexKey ? graph.nodes[indexKey].title : path.posix.basename(dir),
+            steps: order.map(key => ({
+                key,
+                title: graph.nodes[key].title,
+                difficulty: graph.nodes[key].difficulty,
+                estimatedTime: graph.nodes[key].estimatedTime,
+                prerequisites: [...new Set([...linked(key, 'prerequisite'), ...linked(key, 'next', true)])],
+                nextSteps: [...new Set([...linked(key, 'next'), ...linked(key, 'prerequisite', true)])]
+            }))
+        };
+    }
+}
+
+LearningGraph.RELATIONS = RELATIONS;
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const docsFile = args.find((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--root') || '../public/docs.json';
+    const rootDir = args.includes('--root') ? args[args.indexOf('--root') + 1] : '../';
+
+    const docsData = JSON.parse(fs.readFileSync(docsFile, 'utf8'));
+    const graph = new LearningGraph({ rootDir }).build(docsData.documents);
+
+    graph.paths.forEach(learningPath => {
+        console.log(`🧭 ${learningPath.title} (${learningPath.directory})`);
+        learningPath.steps.forEach((step, index) => console.log(`   ${index + 1}. ${step.title}${step.difficulty ? ` [${step.difficulty}]` : ''}`));
+    });
+    graph.unresolved.forEach(entry => console.log(`❌ ${entry.path}${entry.line ? `:${entry.line}` : ''}: ${entry.relation} "${entry.target}" does not resolve to a document`));
+    graph.cycles.forEach(cycle => console.log(`🔁 Prerequisite cycle: ${cycle.join(' -> ')}`));
+}
+
+module.exports = LearningGraph;
\ No newline at end of file
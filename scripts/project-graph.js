@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+
+/**
+ * Project Graph
+ *
+ * Reads RACEngine.sln and every .csproj in the repository into a dependency graph (project references,
+ * package references, target frameworks), finds reference cycles and layering violations, and renders
+ * the graph as Mermaid or Graphviz DOT
+ * Usage: node project-graph.js [--root ../] [--format mermaid|dot|json] [--packages] [--output file]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOLUTION_FOLDER_TYPE = '2150E333-8FDC-42A3-9474-1A3956D46DE8';
+
+// Lowest layer first; a project may reference its own layer and the layers below it
+const DEFAULT_LAYERS = [
+    { name: 'core', projects: ['Rac.Core'] },
+    { name: 'subsystems', projects: ['Rac.Assets', 'Rac.Rendering', 'Rac.Input', 'Rac.Audio', 'Rac.ECS', 'Rac.Physics', 'Rac.AI', 'Rac.Animation', 'Rac.Networking', 'Rac.Scripting'] },
+    { name: 'engine', projects: ['Rac.GameEngine', 'Rac.Engine'] },
+    { name: 'tools', projects: ['Rac.Tools', 'Rac.ProjectTools', 'tools/*'] },
+    { name: 'applications', projects: ['samples/*', 'tests/*'] }
+];
+
+class ProjectGraph {
+    constructor(options = {}) {
+        this.options = {
+            rootDir: '../',
+            solutionFile: null, // first *.sln in rootDir
+            layers: DEFAULT_LAYERS,
+            includePackages: false,
+            ...options
+        };
+    }
+
+    build() {
+        const rootDir = path.resolve(this.options.rootDir);
+        const solutionFile = this.options.solutionFile
+            || fs.readdirSync(rootDir).find(file => file.endsWith('.sln'));
+        const solution = solutionFile ? this.parseSolution(fs.readFileSync(path.join(rootDir, solutionFile), 'utf8')) : [];
+        const inSolution = new Map(solution.map(entry => [entry.path, entry]));
+
+        const projects = {};
+        this.findProjectFiles(rootDir).forEach(projectPath => {
+            const relativePath = path.relative(rootDir, projectPath).replace(/\\/g, '/');
+            const project = this.parseProject(fs.readFileSync(projectPath, 'utf8'), relativePath);
+            const solutionEntry = inSolution.get(relativePath);
+            project.inSolution = Boolean(solutionEntry);
+            project.solutionFolder = solutionEntry ? solutionEntry.folder : null;
+            project.layer = this.layerOf(project);
+            projects[project.name] = project;
+        });
+
+        // ..\Rac.Core\Rac.Core.csproj -> Rac.Core
+        const byPath = new Map(Object.values(projects).map(project => [project.path, project.name]));
+        const edges = [];
+        Object.values(projects).forEach(project => {
+            project.projectReferences.forEach(reference => {
+                reference.project = byPath.get(reference.path) || null;
+                if (reference.project) {
+                    edges.push({ from: project.name, to: reference.project, line: reference.line });
+                }
+            });
+        });
+
+        const graph = {
+            solution: solutionFile || null,
+            layers: this.options.layers.map(layer => ({
+                name: layer.name,
+                projects: Object.keys(projects).filter(name => projects[name].layer === layer.name).sort()
+            })),
+            projects,
+            edges,
+            cycles: [],
+            violations: [],
+            diagrams: {}
+        };
+        graph.cycles = this.findCycles(graph);
+        graph.violations = this.findLayerViolations(graph);
+        graph.diagrams = { mermaid: this.toMermaid(graph), dot: this.toDot(graph) };
+        return graph;
+    }
+
+    findProjectFiles(dir) {
+        const files = [];
+        fs.readdirSync(dir).forEach(item => {
+            const itemPath = path.join(dir, item);
+            if (fs.statSync(itemPath).isDirectory()) {
+                if (!['node_modules', '.git', 'bin', 'obj', '.vs'].includes(item)) {
+                    files.push(...this.findProjectFiles(itemPath));
+                }
+            } else if (item.endsWith('.csproj')) {
+                files.push(itemPath);
+            }
+        });
+        return files.sort();
+    }
+
+    // Project("{type}") = "Name", "src\Name\Name.csproj", "{guid}" plus the NestedProjects folder tree
+    parseSolution(content) {
+        const entries = Array.from(content.matchAll(/^Project\("\{([^}]+)\}"\)\s*=\s*"([^"]+)",\s*"([^"]+)",\s*"\{([^}]+)\}"/gm), match => ({
+            type: match[1].toUpperCase(),
+            name: match[2],
+            path: match[3].replace(/\\/g, '/'),
+            guid: match[4].toUpperCase()
+        }));
+
+        const parents = new Map();
+        const nested = content.match(/GlobalSection\(NestedProjects\)[\s\S]*?EndGlobalSection/);
+        if (nested) {
+            Array.from(nested[0].matchAll(/\{([^}]+)\}\s*=\s*\{([^}]+)\}/g))
+                .forEach(match => parents.set(match[1].toUpperCase(), match[2].toUpperCase()));
+        }
+
+        const folders = new Map(entries.filter(entry => entry.type === SOLUTION_FOLDER_TYPE).map(entry => [entry.guid, entry.name]));
+        const folderPath = (guid) => {
+            const parent = parents.get(guid);
+            if (!parent || !folders.has(parent)) return null;
+            const above = folderPath(parent);
+            return above ? `${above}/${folders.get(parent)}` : folders.get(parent);
+        };
+
+        return entries
+            .filter(entry => entry.type !== SOLUTION_FOLDER_TYPE)
+            .map(entry => ({ name: entry.name, path: entry.path, guid: entry.guid, folder: folderPath(entry.guid) }));
+    }
+
+    // SDK-style projects only need their properties and item includes; no MSBuild evaluation
+    parseProject(content, relativePath) {
+        const projectDir = path.posix.dirname(relativePath);
+        const lineAt = (index) => content.slice(0, index).split('\n').length;
+        const property = (name) => {
+            const match = content.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+            return match ? match[1].trim() : null;
+        };
+
+        const frameworks = property('TargetFrameworks') || property('TargetFramework');
+        const sdk = content.match(/<Project\s+Sdk="([^"]+)"/);
+
+        return {
+            name: path.posix.basename(relativePath, '.csproj'),
+            path: relativePath,
+            sdk: sdk ? sdk[1] : null,
+            outputType: property('OutputType') || 'Library',
+            targetFrameworks: frameworks ? frameworks.split(';').map(framework => framework.trim()).filter(Boolean) : [],
+            rootNamespace: property('RootNamespace'),
+            projectReferences: Array.from(content.matchAll(/<ProjectReference\s+Include="([^"]+)"/g), match => ({
+                include: match[1],
+                path: path.posix.normalize(path.posix.join(projectDir, match[1].replace(/\\/g, '/'))),
+                line: lineAt(match.index),
+                project: null
+            })),
+            // <PackageReference Include="x" Version="1.0" /> or with a <Version> child element
+            packageReferences: Array.from(content.matchAll(/<PackageReference\s+Include="([^"]+)"([^>]*?)(\/>|>([\s\S]*?)<\/PackageReference>)/g), match => {
+                const version = match[2].match(/Version="([^"]*)"/) || (match[4] || '').match(/<Version>([^<]*)<\/Version>/);
+                return { name: match[1], version: version ? version[1] : null, line: lineAt(match.index) };
+            })
+        };
+    }
+
+    // Patterns match the project name (Rac.Core) or its directory (samples/*)
+    layerOf(project) {
+        const directory = path.posix.dirname(project.path);
+        const matches = (pattern) => {
+            const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+            return regex.test(project.name) || regex.test(directory);
+        };
+        const layer = this.options.layers.find(candidate => candidate.projects.some(matches));
+        return layer ? layer.name : null;
+    }
+
+    // Strongly connected components with more than one project (or a self reference)
+    findCycles(graph) {
+        const adjacency = new Map(Object.keys(graph.projects).map(name => [name, []]));
+        graph.edges.forEach(edge => adjacency.get(edge.from).push(edge.to));
+
+        const cycles = [];
+        const indexes = new Map();
+        const lowLinks = new Map();
+        const stack = [];
+        const onStack = new Set();
+        let counter = 0;
+
+        const visit = (name) => {
+            indexes.set(name, counter);
+            lowLinks.set(name, counter);
+            counter++;
+            stack.push(name);
+            onStack.add(name);
+
+            adjacency.get(name).forEach(next => {
+                if (!indexes.has(next)) {
+                    visit(next);
+                    lowLinks.set(name, Math.min(lowLinks.get(name), lowLinks.get(next)));
+                } else if (onStack.has(next)) {
+                    lowLinks.set(name, Math.min(lowLinks.get(name), indexes.get(next)));
+                }
+            });
+
+            if (lowLinks.get(name) === indexes.get(name)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== name);
+
+                if (component.length > 1 || adjacency.get(name).includes(name)) {
+                    cycles.push(component.sort());
+                }
+            }
+        };
+
+        Array.from(adjacency.keys()).sort().forEach(name => {
+            if (!indexes.has(name)) visit(name);
+        });
+        return cycles;
+    }
+
+    // References that point up the layer stack (Rac.Core -> Rac.Rendering)
+    findLayerViolations(graph) {
+        const rank = new Map(this.options.layers.map((layer, index) => [layer.name, index]));
+
+        return graph.edges
+            .filter(edge => {
+                const fromLayer = graph.projects[edge.from].layer;
+                const toLayer = graph.projects[edge.to].layer;
+                return fromLayer !== null && toLayer !== null && rank.get(toLayer) > rank.get(fromLayer);
+            })
+            .map(edge => ({
+                from: edge.from,
+                to: edge.to,
+                fromLayer: graph.projects[edge.from].layer,
+                toLayer: graph.projects[edge.to].layer,
+                path: graph.projects[edge.from].path,
+                line: edge.line
+            }));
+    }
+
+    isFlagged(graph, edge) {
+        return graph.violations.some(violation => violation.from === edge.from && violation.to === edge.to)
+            || graph.cycles.some(cycle => cycle.includes(edge.from) && cycle.includes(edge.to));
+    }
+
+    packageEdges(graph) {
+        if (!this.options.includePackages) return [];
+        return Object.values(graph.projects).flatMap(project =>
+            project.packageReferences.map(reference => ({ from: project.name, to: reference.name })));
+    }
+
+    // Dependants above their dependencies, one subgraph per layer; flagged references in red
+    toMermaid(graph) {
+        const id = (name) => name.replace(/[^A-Za-z0-9_]/g, '_');
+        const lines = ['graph TD'];
+
+        const layered = new Set();
+        graph.layers.filter(layer => layer.projects.length > 0).reverse().forEach(layer => {
+            lines.push(`    subgraph ${id(layer.name)}["${layer.name}"]`);
+            layer.projects.forEach(name => {
+                lines.push(`        ${id(name)}["${name}"]`);
+                layered.add(name);
+            });
+            lines.push('    end');
+        });
+        Object.keys(graph.projects).filter(name => !layered.has(name)).sort()
+            .forEach(name => lines.push(`    ${id(name)}["${name}"]`));
+
+        const packages = this.packageEdges(graph);
+        [...new Set(packages.map(edge => edge.to))].sort()
+            .forEach(name => lines.push(`    ${id(`pkg_${name}`)}(["${name}"])`));
+
+        const flagged = [];
+        graph.edges.forEach((edge, index) => {
+            lines.push(`    ${id(edge.from)} --> ${id(edge.to)}`);
+            if (this.isFlagged(graph, edge)) flagged.push(index);
+        });
+        packages.forEach(edge => lines.push(`    ${id(edge.from)} -.-> ${id(`pkg_${edge.to}`)}`));
+
+        if (flagged.length > 0) {
+            lines.push(`    linkStyle ${flagged.join(',')} stroke:#d32f2f,stroke-width:2px`);
+        }
+        return lines.join('\n');
+    }
+
+    toDot(graph) {
+        const quote = (text) => `"${text.replace(/"/g, '\\"')}"`;
+        const lines = ['digraph projects {', '    rankdir=TB;', '    node [shape=box, fontname="Helvetica"];'];
+
+        graph.layers.filter(layer => layer.projects.length > 0).forEach(layer => {
+            lines.push(`    subgraph ${quote(`cluster_${layer.name}`)} {`);
+            lines.push(`        label=${quote(layer.name)};`);
+            layer.projects.forEach(name => lines.push(`        ${quote(name)};`));
+            lines.push('    }');
+        });
+        Object.keys(graph.projects).filter(name => graph.projects[name].layer === null).sort()
+            .forEach(name => lines.push(`    ${quote(name)};`));
+
+        graph.edges.forEach(edge => {
+            lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)}${this.isFlagged(graph, edge) ? ' [color=red, penwidth=2]' : ''};`);
+        });
+        this.packageEdges(graph).forEach(edge => {
+            lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)} [style=dashed];`);
+            lines.push(`    ${quote(edge.to)} [shape=ellipse];`);
+        });
+
+        lines.push('}');
+        return lines.join('\n');
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {};
+    let format = 'mermaid';
+    let outputFile = null;
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--root':
+                options.rootDir = args[++i];
+                break;
+            case '--format':
+                format = args[++i];
+                break;
+            case '--packages':
+                options.includePackages = true;
+                break;
+            case '--output':
+                outputFile = args[++i];
+                break;
+        }
+    }
+
+    const projectGraph = new ProjectGraph(options);
+    const graph = projectGraph.build();
+    const output = format === 'json' ? JSON.stringify(graph, null, 2)
+        : format === 'dot' ? graph.diagrams.dot
+            : graph.diagrams.mermaid;
+
+    if (outputFile) {
+        // A Markdown target gets the Mermaid diagram in a fenced block
+        fs.writeFileSync(outputFile, format === 'mermaid' && outputFile.endsWith('.md') ? `\`\`\`mermaid\n${output}\n\`\`\`\n` : output);
+        console.log(`📄 ${Object.keys(graph.projects).length} projects written to ${outputFile}`);
+    } else {
+        console.log(output);
+    }
+
+    graph.cycles.forEach(cycle => console.error(`❌ Project reference cycle between ${cycle.join(', ')}`));
+    graph.violations.forEach(violation => console.error(`❌ ${violation.from} (${violation.fromLayer}) references ${violation.to} (${violation.toLayer}) in ${violation.path}:${violation.line}`));
+    process.exit(graph.cycles.length > 0 || graph.violations.length > 0 ? 1 : 0);
+}
+
+module.exports = ProjectGraph;
\ No newline at end of file
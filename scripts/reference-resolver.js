@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+/**
+ * Reference Resolver
+ *
+ * Resolves the type and member names a document mentions (World, World.CreateEntity, W.Query with
+ * using W = Rac.ECS.Core.World) to fully-qualified symbols, the way the compiler would: enclosing
+ * namespaces first, then using directives, then any namespace declared in src/
+ * Usage: node reference-resolver.js [--docs ./public/docs.json] [--unresolved] [--ambiguous]
+ */
+
+const fs = require('fs');
+const CSharpParser = require('./csharp-parser');
+
+const TYPE_KINDS = ['class', 'struct', 'interface', 'enum', 'record', 'record struct', 'delegate'];
+
+class ReferenceResolver {
+    constructor(options = {}) {
+        this.options = {
+            sourceRoots: ['src/'],
+            languages: ['csharp', 'cs', 'c#'],
+            ...options
+        };
+
+        this.parser = new CSharpParser({ keepDocComments: false });
+        this.symbols = new Map();
+        this.namespaces = new Set();
+        this.declaredNamespaces = new Set();
+        this.typeNames = new Set();
+        this.globalUsings = new Map();
+    }
+
+    // Names a C# file mentions, in the scope of its types, namespaces and using directives
+    extractFromSource(content, parsed) {
+        const lines = {};
+        this.collectCodeNames(this.parser.tokenize(content), 0, lines);
+
+        // The file's own declarations (KeyEvent { get; }) are not references
+        parsed.symbols.forEach(symbol => delete lines[symbol.name]);
+
+        // Nested types resolve inside their declaring types, innermost first
+        const typeScopes = parsed.symbols
+            .filter(symbol => TYPE_KINDS.includes(symbol.kind))
+            .map(symbol => symbol.fullName)
+            .sort((a, b) => b.length - a.length);
+        return this.createContext(lines, [...typeScopes, ...parsed.namespaces], parsed.usings);
+    }
+
+    // Prose names (Rac.ECS.Core.World, `IComponent`) plus the C# blocks; snippets rarely repeat their
+    // using directives, so every block shares the usings of all blocks on the page
+    extractFromMarkdown(content, codeBlocks, lineOffset = 0) {
+        const lines = {};
+        const namespaces = [];
+        const usings = [];
+        const addName = (name, line) => {
+            if (!(name in lines)) lines[name] = line;
+        };
+
+        let inFence = false;
+        content.split('\n').forEach((line, index) => {
+            if (/^\s*```/.test(line)) {
+                inFence = !inFence;
+                return;
+            }
+            if (inFence) return;
+
+            const lineNumber = index + 1 + lineOffset;
+            (line.match(/\b[A-Z]\w*(?:\.[A-Z]\w*)+/g) || []).forEach(name => addName(name, lineNumber));
+            Array.from(line.matchAll(/`([A-Z]\w*(?:\.[A-Z]\w*)*)(?:<[^`]*>)?(?:\([^`]*\))?`/g), match => match[1])
+                .forEach(name => addName(name, lineNumber));
+        });
+
+        codeBlocks.forEach(codeBlock => {
+            if (!this.options.languages.includes((codeBlock.language || '').toLowerCase())) return;
+
+            const parsed = this.parser.parse(codeBlock.code);
+            namespaces.push(...parsed.namespaces);
+            usings.push(...parsed.usings);
+            // Block lines count from the opening fence
+            this.collectCodeNames(this.parser.tokenize(codeBlock.code), codeBlock.lineStart || 0, lines);
+        });
+
+        return this.createContext(lines, namespaces, usings);
+    }
+
+    // Capitalized names and qualified chains outside using directives; lowercase heads are variables
+    collectCodeNames(tokens, lineOffset, lines) {
+        const isPunct = (index, value) => Boolean(tokens[index]) && tokens[index].type === 'punct' && tokens[index].value === value;
+        const isIdentifier = (index) => Boolean(tokens[index]) && tokens[index].type === 'identifier';
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type !== 'identifier') continue;
+
+            if ((token.value === 'using' || token.value === 'namespace') && isIdentifier(i + 1)) {
+                while (i < tokens.length && !isPunct(i, ';') && !isPunct(i, '{')) i++;
+                continue;
+            }
+            if (isPunct(i - 1, '.') || isPunct(i - 1, '::') || !/^[A-Z]/.test(token.value)) continue;
+
+            const segments = [token.value];
+            let end = i + 1;
+            while (isPunct(end, '.') && isIdentifier(end + 1)) {
+                segments.push(tokens[end + 1].value);
+                end += 2;
+            }
+
+            // Bare method calls (CreateEntity()) are members of the enclosing type, not references
+            if (segments.length > 1 || !isPunct(end, '(')) {
+                const name = segments.join('.');
+                if (!(name in lines)) lines[name] = token.line + lineOffset;
+            }
+            i = end - 1;
+        }
+        return lines;
+    }
+
+    createContext(lines, namespaces, usings) {
+        return {
+            names: Object.keys(lines),
+            context: {
+                namespaces: [...new Set(namespaces)],
+                usings: usings.map(using => ({ name: using.name, alias: using.alias || null, static: Boolean(using.static), global: Boolean(using.global) })),
+                lines
+            }
+        };
+    }
+
+    // Symbols, namespaces and global usings from the parsed C# sources
+    index(documents) {
+        this.symbols = new Map();
+        this.namespaces = new Set();
+        this.declaredNamespaces = new Set();
+        this.typeNames = new Set();
+        this.globalUsings = new Map();
+
+        Object.values(documents).forEach(doc => {
+            if (doc.type !== 'source' || !Array.isArray(doc.symbols)) return;
+            const docPath = doc.path.replace(/\\/g, '/');
+            const isEngineSource = this.options.sourceRoots.some(root => docPath.startsWith(root));
+
+            doc.symbols.forEach(symbol => {
+                if (!this.symbols.has(symbol.fullName)) {
+                    this.symbols.set(symbol.fullName, { kind: symbol.kind, documentKey: doc.key, path: doc.path, line: symbol.lineStart });
+                }
+                const parts = symbol.namespace ? symbol.namespace.split('.') : [];
+                parts.forEach((part, index) => this.declaredNamespaces.add(parts.slice(0, index + 1).join('.')));
+                if (isEngineSource) {
+                    parts.forEach((part, index) => this.namespaces.add(parts.slice(0, index + 1).join('.')));
+                    if (TYPE_KINDS.includes(symbol.kind)) this.typeNames.add(symbol.name);
+                }
+            });
+
+            const globalUsings = ((doc.referenceContext && doc.referenceContext.usings) || []).filter(using => using.global);
+            if (globalUsings.length > 0) {
+                const project = this.projectOf(doc.path);
+                this.globalUsings.set(project, [...(this.globalUsings.get(project) || []), ...globalUsings]);
+            }
+        });
+    }
+
+    // global using directives apply to every file of the project (src/Rac.ECS/...)
+    projectOf(docPath) {
+        return docPath.replace(/\\/g, '/').split('/').slice(0, 2).join('/');
+    }
+
+    findDeclaration(fullName) {
+        return this.symbols.get(fullName) || null;
+    }
+
+    // Every name the document mentions with its resolution; names that are neither engine symbols
+    // nor look like one (Console.WriteLine, "Step.One") come back as external
+    resolveDocument(doc) {
+        const context = doc.referenceContext || { namespaces: [], usings: [], lines: {} };
+        const usings = [...context.usings, ...(this.globalUsings.get(this.projectOf(doc.path)) || [])];
+
+        return (doc.apiReferences || []).map(name => ({
+            name,
+            line: context.lines[name] || doc.line || null,
+            ...this.resolve(name, { ...context, usings })
+        }));
+    }
+
+    resolve(name, context) {
+        let text = name.replace(/^global::/, '').replace(/<[^<>]*>/g, '').replace(/\(\)$/, '');
+        const segments = text.split('.');
+
+        // using W = Rac.ECS.Core.World;
+        const alias = context.usings.find(using => using.alias === segments[0]);
+        if (alias) {
+            text = [alias.name, ...segments.slice(1)].join('.');
+        }
+
+        if (this.symbols.has(text)) return { status: 'resolved', fullName: text, candidates: [text] };
+        if (this.declaredNamespaces.has(text)) return { status: 'namespace', fullName: null, candidates: [] };
+
+        const existing = (prefixes) => [...new Set(prefixes.map(prefix => `${prefix}.${text}`))].filter(fullName => this.symbols.has(fullName));
+
+        // Enclosing namespaces, innermost first; the first hit wins
+        for (const namespace of context.namespaces) {
+            const parts = namespace.split('.');
+            for (let length = parts.length; length > 0; length--) {
+                const [match] = existing([parts.slice(0, length).join('.')]);
+                if (match) return { status: 'resolved', fullName: match, candidates: [match] };
+            }
+        }
+
+        // using directives are one level; two matches there are ambiguous, as in C#
+        const imported = existing(context.usings.filter(using => !using.alias).map(using => using.name));
+        if (imported.length > 0) {
+            return { status: imported.length === 1 ? 'resolved' : 'ambiguous', fullName: imported.length === 1 ? imported[0] : null, candidates: imported };
+        }
+
+        // Prose and snippets without usings: any namespace from src/
+        const anywhere = existing(Array.from(this.namespaces));
+        if (anywhere.length > 0) {
+            return { status: anywhere.length === 1 ? 'resolved' : 'ambiguous', fullName: anywhere.length === 1 ? anywhere[0] : null, candidates: anywhere };
+        }
+
+        // EngineProfile.FullGame.ToString: whatever follows a member belongs to the member's type
+        if (text.includes('.')) {
+            const prefix = this.resolve(text.slice(0, text.lastIndexOf('.')), context);
+            const kind = prefix.status === 'resolved' && this.symbols.get(prefix.fullName).kind;
+            if (kind && !TYPE_KINDS.includes(kind)) return prefix;
+        }
+
+        const head = text.split('.')[0];
+        const looksLikeEngine = head === 'Rac' || this.typeNames.has(head);
+        return { status: looksLikeEngine ? 'unresolved' : 'external', fullName: null, candidates: [] };
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const docsFile = args.includes('--docs') ? args[args.indexOf('--docs') + 1] : './public/docs.json';
+    const statuses = ['unresolved', 'ambiguous'].filter(status => args.includes(`--${status}`));
+
+    const docs = JSON.parse(fs.readFileSync(docsFile, 'utf8'));
+    const problems = (docs.diagnostics || [])
+        .filter(diagnostic => diagnostic.rule === 'api-reference')
+        .filter(diagnostic => statuses.length === 0 || statuses.includes(diagnostic.status));
+
+    problems.forEach(problem => console.log(`⚠️  ${problem.path}:${problem.line} ${problem.message}`));
+
+    const resolved = Object.values(docs.crossReferences || {})
+        .reduce((total, entry) => total + entry.references.filter(ref => ref.context === 'usage').length, 0);
+    console.log(`\n🔗 ${resolved} resolved references, ${problems.length} ${statuses.length > 0 ? statuses.join('/') : 'unresolved or ambiguous'}`);
+}
+
+module.exports = ReferenceResolver;
\ No newline at end of file
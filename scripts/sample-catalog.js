@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Sample Catalog
+ *
+ * Turns every project under samples/ into one 'sample' document: its README, entry point, project
+ * references, the engine APIs its sources use (resolved cross-references plus member calls on them)
+ * and a frontmatter-style demonstrates list
+ * Usage: node sample-catalog.js [docs.json] [--api Rac.ECS.Core.World.Query]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class SampleCatalog {
+    constructor(options = {}) {
+        this.options = {
+            sampleDirectories: ['samples'],
+            engineRoots: ['src/'], // APIs declared here count as engine APIs
+            ...options
+        };
+    }
+
+    // Sample documents for documents, crossReferences and the project graph of a build
+    build(documents, crossRefs, projects) {
+        const sampleProjects = Object.values((projects && projects.projects) || {})
+            .filter(project => this.options.sampleDirectories.some(dir => path.posix.dirname(path.posix.dirname(project.path)) === dir.replace(/\/$/, '')))
+            .sort((a, b) => a.path.localeCompare(b.path));
+
+        return sampleProjects.map(project => this.buildSample(project, documents, crossRefs));
+    }
+
+    buildSample(project, documents, crossRefs) {
+        const folder = path.posix.dirname(project.path);
+        const inFolder = Object.values(documents)
+            .filter(doc => doc.path && doc.path.replace(/\\/g, '/').startsWith(`${folder}/`) && !doc.sample);
+        const sources = inFolder.filter(doc => doc.type === 'source').sort((a, b) => a.path.localeCompare(b.path));
+        const readme = inFolder.find(doc => path.posix.dirname(doc.path) === folder && /^readme\.md$/i.test(path.posix.basename(doc.path)));
+        const readmeSections = readme && readme.sections.some(section => section.content || section.heading) ? readme.sections : [];
+
+        const entryPoint = this.findEntryPoint(sources);
+        const apis = this.findEngineApis(sources, crossRefs);
+        const namespaces = [...new Set(apis.map(apiName => this.namespaceOf(apiName, documents, crossRefs)).filter(Boolean))].sort();
+
+        const titleSection = readmeSections.find(section => section.level === 1);
+        const title = titleSection ? titleSection.heading : project.name;
+        const summary = this.findSummary(readmeSections, entryPoint, documents) || `${project.name} sample project`;
+        // Without a README list, the engine subsystems it touches (Rac.ECS, Rac.Rendering)
+        const demonstrates = this.findDemonstrates(readme, readmeSections)
+            || [...new Set(namespaces.map(namespace => namespace.split('.').slice(0, 2).join('.')))];
+
+        const sections = readmeSections.length > 0
+            ? readmeSections.map(section => ({ ...section }))
+            : [{ id: 'overview', heading: 'Overview', level: 2, fullHeading: 'Overview', content: summary, codeBlocks: [], apiReferences: [], lineStart: 1 }];
+
+        return {
+            key: folder.replace(/\//g, '.').toLowerCase(),
+            title,
+            type: 'sample',
+            path: project.path,
+            size: inFolder.reduce((total, doc) => total + (doc.size || 0), 0),
+            lastModified: inFolder.map(doc => doc.lastModified).filter(Boolean).sort().pop() || null,
+
+            frontmatter: {
+                title,
+                type: 'sample',
+                summary: summary.slice(0, 500),
+                tags: ['sample', project.name.toLowerCase()],
+                demonstrates: demonstrates.slice(0, 15),
+                frameworks: project.targetFrameworks.slice(0, 10)
+            },
+            tags: ['sample', 'csharp'],
+
+            sections,
+            codeBlocks: [],
+            links: [],
+
+            // Derived from the files of the folder; rebuilt whenever the catalog is
+            sample: {
+                project: project.name,
+                readme: readme ? readme.key : null,
+                entryPoint,
+                files: sources.map(doc => doc.key),
+                projectReferences: project.projectReferences.map(reference => reference.project || reference.include),
+                packageReferences: project.packageReferences.map(reference => reference.name),
+                apis,
+                namespaces
+            },
+
+            searchTerms: [
+                project.name,
+                ...demonstrates,
+                ...apis.map(apiName => apiName.split('.').slice(-2).join('.'))
+            ]
+        };
+    }
+
+    // static Main of the folder, preferring Program.cs; top-level statements make Program.cs the entry point
+    findEntryPoint(sources) {
+        const candidates = sources
+            .map(doc => ({ doc, main: (doc.symbols || []).find(symbol => symbol.kind === 'method' && symbol.name === 'Main') }))
+            .filter(candidate => candidate.main)
+            .sort((a, b) => Number(!/\/program\.cs$/i.test(a.doc.path)) - Number(!/\/program\.cs$/i.test(b.doc.path)));
+
+        if (candidates.length > 0) {
+            const { doc, main } = candidates[0];
+            return { documentKey: doc.key, path: doc.path, line: main.lineStart, signature: main.signature };
+        }
+
+        const program = sources.find(doc => /\/program\.cs$/i.test(doc.path));
+        return program ? { documentKey: program.key, path: program.path, line: 1, signature: null } : null;
+    }
+
+    // Resolved engine types the sources name, plus their members called as .Member( or .Member<
+    findEngineApis(sources, crossRefs) {
+        const isEngineApi = (apiName) => {
+            const entry = crossRefs[apiName];
+            return Boolean(entry && entry.source && this.options.engineRoots.some(root => entry.source.path.replace(/\\/g, '/').startsWith(root)));
+        };
+
+        const types = new Set(sources.flatMap(doc => doc.references || []).filter(isEngineApi));
+        const code = sources
+            .map(doc => (typeof doc.codeBlocks[0] === 'string' ? doc.codeBlocks[0] : ''))
+            .join('\n')
+            .replace(/^\s*\/\/.*$/gm, '');
+        const calledMembers = new Set(Array.from(code.matchAll(/\.\s*([A-Z]\w*)\s*[(<]/g), match => match[1]));
+
+        const apis = new Set(types);
+        Object.keys(crossRefs).forEach(apiName => {
+            const separator = apiName.lastIndexOf('.');
+            if (types.has(apiName.slice(0, separator)) && calledMembers.has(apiName.slice(separator + 1)) && isEngineApi(apiName)) {
+                apis.add(apiName);
+            }
+        });
+        return Array.from(apis).sort();
+    }
+
+    // Rac.ECS.Core.World.Query -> Rac.ECS.Core, as declared in the source file (nested types included)
+    namespaceOf(apiName, documents, crossRefs) {
+        const source = documents[crossRefs[apiName].source.documentKey];
+        const symbol = source && (source.symbols || []).find(candidate => candidate.fullName === apiName);
+        return symbol ? symbol.namespace : null;
+    }
+
+    // README intro paragraph, else the XML summary of the entry point's class
+    findSummary(readmeSections, entryPoint, documents) {
+        const intro = readmeSections
+            .map(section => (section.content || '').split(/\n\s*\n/)
+                .map(paragraph => paragraph.replace(/^>\s*/gm, '').trim())
+                .find(paragraph => paragraph && !paragraph.startsWith('```') && !paragraph.startsWith('#')))
+            .find(Boolean);
+        if (intro) return intro.replace(/\s+/g, ' ');
+
+        if (!entryPoint) return null;
+        const entryType = Object.values(documents).find(doc => doc.type === 'api' && doc.path === entryPoint.path && !doc.memberOf && doc.xmlComment);
+        return entryType ? entryType.xmlComment.replace(/\s+/g, ' ').trim() : null;
+    }
+
+    // README frontmatter demonstrates, else the headings under a "Features Demonstrated" style heading
+    findDemonstrates(readme, readmeSections) {
+        if (readme && Array.isArray(readme.frontmatter.demonstrates) && readme.frontmatter.demonstrates.length > 0) {
+            return readme.frontmatter.demonstrates;
+        }
+
+        const features = [];
+        readmeSections.forEach((section, index) => {
+            if (!/demonstrat/i.test(section.heading || '')) return;
+            for (const child of readmeSections.slice(index + 1)) {
+                if (child.level <= section.level) break;
+                if (child.level === section.level + 1) {
+                    features.push(child.heading.replace(/^\d+[.)]\s*/, '').replace(/\s*\([^)]*\)$/, '').trim());
+                }
+            }
+        });
+        return features.length > 0 ? [...new Set(features)] : null;
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const docsFile = args.find((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--api') || '../public/docs.json';
+    const apiName = args.includes('--api') ? args[args.indexOf('--api') + 1] : null;
+
+    const docsData = JSON.parse(fs.readFileSync(docsFile, 'utf8'));
+    const samples = Object.values(docsData.documents).filter(doc => doc.type === 'sample' && doc.sample);
+
+    samples
+        .filter(sample => !apiName || sample.sample.apis.some(name => name === apiName || name.startsWith(`${apiName}.`)))
+        .forEach(sample => {
+            console.log(`🧪 ${sample.title} (${sample.key})`);
+            console.log(`   Entry point: ${sample.sample.entryPoint ? `${sample.sample.entryPoint.path}:${sample.sample.entryPoint.line}` : 'none'}`);
+            console.log(`   Projects: ${sample.sample.projectReferences.join(', ') || 'none'}`);
+            console.log(`   Demonstrates: ${sample.frontmatter.demonstrates.join(', ') || 'nothing listed'}`);
+            console.log(`   Engine APIs: ${sample.sample.apis.length} in ${sample.sample.namespaces.join(', ') || 'no namespace'}`);
+        });
+}
+
+module.exports = SampleCatalog;
\ No newline at end of file
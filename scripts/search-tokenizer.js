@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Search Tokenizer
+ *
+ * Turns documentation text into search index terms: splits on punctuation and
+ * camelCase/PascalCase boundaries, drops stop words and applies light suffix stemming.
+ * docs-viewer.html carries a copy of this logic for queries - keep the two in step.
+ * Usage: node search-tokenizer.js "Call SetColor before rendering"
+ */
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'if', 'in',
+    'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+    'were', 'will', 'with'
+]);
+
+class SearchTokenizer {
+    constructor(options = {}) {
+        this.options = {
+            minLength: 2,
+            stopWords: STOP_WORDS,
+            ...options
+        };
+    }
+
+    // All index terms for a piece of text, in order and with repeats
+    tokenize(text) {
+        const terms = [];
+
+        this.splitWords(text).forEach(word => {
+            const parts = this.splitIdentifier(word);
+
+            // Keep compound identifiers searchable as a whole (SetColor -> setcolor, set, color)
+            if (parts.length > 1) {
+                this.addTerm(terms, word.toLowerCase());
+            }
+            parts.forEach(part => this.addTerm(terms, part.toLowerCase()));
+        });
+
+        return terms;
+    }
+
+    addTerm(terms, word) {
+        if (word.length < this.options.minLength) return;
+        if (this.options.stopWords.has(word)) return;
+
+        terms.push(this.stem(word));
+    }
+
+    splitWords(text) {
+        if (!text || typeof text !== 'string') return [];
+        return text.match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    splitIdentifier(word) {
+        // XMLParser -> XML, Parser; SetColor2D -> Set, Color, 2, D
+        return word.match(/\p{Lu}+(?=\p{Lu}\p{Ll})|\p{Lu}?\p{Ll}+|\p{Lu}+|\p{N}+|\p{L}+/gu) || [word];
+    }
+
+    stem(word) {
+        if (word.length <= 3 || /\d/.test(word)) return word;
+
+        let stem = word;
+
+        // Plurals
+        if (/ies$/.test(stem) && stem.length > 4) {
+            stem = `${stem.slice(0, -3)}y`;
+        } else if (/(sses|xes|ches|shes|zes)$/.test(stem)) {
+            stem = stem.slice(0, -2);
+        } else if (/s$/.test(stem) && !/(ss|us|is)$/.test(stem)) {
+            stem = stem.slice(0, -1);
+        }
+
+        // Verb endings, only when a real stem with a vowel remains (string stays string)
+        const verbEnding = stem.match(/(ing|ed)$/);
+        if (verbEnding) {
+            const base = stem.slice(0, -verbEnding[0].length);
+            if (base.length >= 3 && /[aeiouy]/.test(base)) {
+                stem = /([^aeiouylsz])\1$/.test(base) ? base.slice(0, -1) : base;
+            }
+        }
+
+        // create, created and creating all end up as creat
+        if (stem.length > 3 && stem.endsWith('e')) {
+            stem = stem.slice(0, -1);
+        }
+
+        return stem;
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const text = process.argv.slice(2).join(' ');
+    const tokenizer = new SearchTokenizer();
+
+    console.log(tokenizer.tokenize(text).join(' '));
+}
+
+module.exports = SearchTokenizer;
\ No newline at end of file
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Shader Processor
+ *
+ * Builder plugin for GLSL sources (src/Rac.Rendering/Shader/Files): one document per shader with its
+ * stage, #version, inputs, outputs, uniforms and functions, cross-referenced to the C# files that load it
+ * Usage: node shader-processor.js <file.frag> (prints the document the builder would add)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STAGES = {
+    '.vert': 'vertex',
+    '.frag': 'fragment',
+    '.geom': 'geometry',
+    '.comp': 'compute',
+    '.tesc': 'tessellation-control',
+    '.tese': 'tessellation-evaluation'
+};
+
+const GLSL_KEYWORDS = ['if', 'for', 'while', 'switch', 'return', 'else'];
+
+class ShaderProcessor {
+    constructor(options = {}) {
+        this.options = {
+            extensions: [...Object.keys(STAGES), '.glsl'],
+            ...options
+        };
+
+        this.name = 'glsl-shader';
+        this.version = '1';
+        this.extensions = this.options.extensions;
+        this.patterns = this.options.patterns;
+    }
+
+    process(file) {
+        const code = file.read();
+        const shader = this.parse(code, file.extension);
+        const fileName = path.basename(file.relativePath);
+        const listing = (title, items) => (items.length > 0
+            ? [`${title}:`, ...items.map(item => `- ${item.type} ${item.name}`)]
+            : []);
+
+        return {
+            title: fileName,
+            type: 'shader',
+            xmlComment: shader.summary || `${shader.stage ? `${shader.stage[0].toUpperCase()}${shader.stage.slice(1)} shader` : 'GLSL shader'}${shader.version ? ` (GLSL ${shader.version})` : ''}`,
+            tags: ['shader', 'glsl', ...(shader.stage ? [shader.stage] : [])],
+            shader,
+            searchTerms: [fileName, ...shader.uniforms.map(uniform => uniform.name), ...shader.functions.map(fn => fn.name)],
+            sections: [
+                {
+                    id: 'interface',
+                    heading: 'Interface',
+                    level: 2,
+                    content: [
+                        ...listing('Inputs', shader.inputs),
+                        ...listing('Outputs', shader.outputs),
+                        ...listing('Uniforms', shader.uniforms)
+                    ].join('\n'),
+                    codeBlocks: []
+                },
+                {
+                    id: 'source',
+                    heading: 'Source',
+                    level: 2,
+                    content: '',
+                    codeBlocks: [{ language: 'glsl', code, lineStart: 1, lineEnd: code.split('\n').length }]
+                }
+            ],
+            codeBlocks: [{ language: 'glsl', code, lineStart: 1, lineEnd: code.split('\n').length }]
+        };
+    }
+
+    // Declarations only; GLSL needs no full parse to describe a shader's interface
+    parse(code, extension) {
+        const lines = code.split('\n');
+        const declarations = (qualifier) => Array.from(
+            code.matchAll(new RegExp(`^[ \\t]*(?:layout\\s*\\([^)]*\\)\\s*)?(?:(?:flat|smooth|noperspective|highp|mediump|lowp)\\s+)*${qualifier}\\s+(\\w+)\\s+(\\w+)(\\[[^\\]]*\\])?\\s*;`, 'gm')),
+            match => ({ type: match[1], name: match[2] + (match[3] || ''), line: code.slice(0, match.index).split('\n').length })
+        );
+
+        const version = code.match(/^\s*#version\s+([^\n\r]+)/m);
+        const functions = Array.from(code.matchAll(/^[ \t]*(\w+)[ \t]+(\w+)[ \t]*\(([^)]*)\)[ \t]*\{?[ \t]*\r?$/gm))
+            .filter(match => !GLSL_KEYWORDS.includes(match[1]) && !GLSL_KEYWORDS.includes(match[2]))
+            .map(match => ({ returnType: match[1], name: match[2], parameters: match[3].trim(), line: code.slice(0, match.index).split('\n').length }));
+
+        // Leading // or /* */ comment lines, before or after #version
+        const summary = [];
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (trimmed === '' || trimmed.startsWith('#version')) {
+                if (summary.length > 0) break;
+                continue;
+            }
+            const comment = trimmed.match(/^(?:\/\/+|\/\*+|\*+\/?)\s?(.*?)(?:\*\/)?$/);
+            if (!comment) break;
+            if (comment[1]) summary.push(comment[1]);
+        }
+
+        // .glsl says nothing about the stage; writing gl_Position is what vertex shaders do
+        const stage = STAGES[extension] || (/\bgl_Position\s*=/.test(code) ? 'vertex' : null);
+
+        return {
+            stage,
+            version: version ? version[1].trim() : null,
+            summary: summary.join(' ').trim() || null,
+            inputs: declarations('in'),
+            outputs: declarations('out'),
+            uniforms: declarations('uniform'),
+            functions
+        };
+    }
+
+    // "bloom.frag" in a C# string literal links the shader to the code that loads it
+    crossReferences(crossRefs, builder) {
+        const documents = Object.values(builder.unifiedDocument.documents);
+        const sources = documents.filter(doc => doc.type === 'source' && typeof doc.codeBlocks[0] === 'string');
+
+        documents.filter(doc => doc.processor === this.name).forEach(doc => {
+            const fileName = path.basename(doc.path);
+            const literal = `"${fileName}"`;
+
+            sources.forEach(source => {
+                const index = source.codeBlocks[0].indexOf(literal);
+                if (index < 0) return;
+
+                const entry = builder.ensureCrossReference(crossRefs, fileName);
+                entry.definition = { documentKey: doc.key, documentTitle: doc.title };
+                entry.references.push({
+                    documentKey: source.key,
+                    documentTitle: source.title,
+                    context: 'shader',
+                    line: source.codeBlocks[0].slice(0, index).split('\n').length
+                });
+            });
+        });
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const filePath = process.argv[2];
+    if (!filePath) {
+        console.error('Usage: node shader-processor.js <file.frag>');
+        process.exit(1);
+    }
+
+    const processor = new ShaderProcessor();
+    const document = processor.process({
+        fullPath: filePath,
+        relativePath: filePath,
+        extension: path.extname(filePath).toLowerCase(),
+        size: fs.statSync(filePath).size,
+        read: () => fs.readFileSync(filePath, 'utf8')
+    });
+    console.log(JSON.stringify({ ...document, codeBlocks: undefined, sections: document.sections.map(section => section.heading) }, null, 2));
+}
+
+module.exports = ShaderProcessor;
\ No newline at end of file
@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+
+/**
+ * Static Site Exporter
+ *
+ * Renders every document of the unified document model to its own HTML page with
+ * markdown rendering, highlighted code, a breadcrumb navigation tree and section permalinks
+ * Usage: node static-site-exporter.js [--docs ./public/docs.json] [--out ./public/site]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MarkdownIt = require('markdown-it'); // npm install markdown-it
+const hljs = require('highlight.js'); // npm install highlight.js
+const HeadingSlugger = require('./heading-slugger');
+
+// Pages of the last export, so the next one only deletes what it wrote itself
+const PAGE_MANIFEST = '.site-pages.json';
+
+const SITE_STYLES = `
+* { box-sizing: border-box; }
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.6; color: #333; background: #f8f9fa; }
+a { color: #0366d6; text-decoration: none; }
+a:hover { text-decoration: underline; }
+.layout { display: flex; min-height: 100vh; }
+.sidebar { width: 300px; flex-shrink: 0; padding: 20px; background: white; border-right: 1px solid #e1e5e9; overflow-y: auto; max-height: 100vh; position: sticky; top: 0; font-size: 14px; }
+.sidebar h2 { font-size: 16px; margin: 0 0 12px 0; }
+.sidebar ul { list-style: none; margin: 0; padding-left: 14px; }
+.sidebar > ul { padding-left: 0; }
+.sidebar li { margin: 2px 0; }
+.sidebar .current > a { font-weight: 600; color: #333; }
+.sidebar .folder { color: #666; }
+main { flex: 1; min-width: 0; max-width: 960px; padding: 20px 40px; }
+.breadcrumbs { font-family: 'Courier New', monospace; font-size: 12px; color: #666; margin-bottom: 8px; }
+.document-meta { font-size: 13px; color: #666; margin-bottom: 24px; }
+.type-badge { display: inline-block; padding: 2px 6px; border-radius: 3px; font-size: 11px; font-weight: 600; text-transform: uppercase; background: #fff3e0; color: #ef6c00; margin-right: 6px; }
+.type-api { background: #e3f2fd; color: #1565c0; }
+.type-tutorial { background: #e8f5e8; color: #2e7d32; }
+.type-sample { background: #f3e5f5; color: #7b1fa2; }
+.type-source { background: #f1f8e9; color: #558b2f; }
+.tag { display: inline-block; background: #eef1f4; border-radius: 3px; padding: 0 6px; margin-right: 4px; }
+h1, h2, h3, h4, h5, h6 { line-height: 1.25; }
+.permalink { margin-left: 8px; color: #c0c4c8; font-weight: normal; visibility: hidden; }
+h1:hover .permalink, h2:hover .permalink, h3:hover .permalink, h4:hover .permalink, h5:hover .permalink, h6:hover .permalink { visibility: visible; }
+pre { background: #f6f8fa; padding: 12px; border-radius: 4px; overflow-x: auto; font-size: 13px; }
+code { font-family: 'Courier New', monospace; }
+:not(pre) > code { background: #eef1f4; padding: 1px 4px; border-radius: 3px; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #e1e5e9; padding: 6px 10px; }
+blockquote { margin: 0; padding-left: 12px; border-left: 4px solid #e1e5e9; color: #666; }
+`;
+
+class StaticSiteExporter {
+    constructor(options = {}) {
+        this.options = {
+            outputDir: options.outputDir || './public/site',
+            siteTitle: options.siteTitle || 'RACEngine Documentation',
+            // Async (filePath, content) writer; the builder passes one that also writes .gz/.br variants
+            writeFile: options.writeFile || (async (filePath, content) => fs.writeFileSync(filePath, content)),
+            ...options
+        };
+
+        this.markdown = new MarkdownIt({
+            html: false,
+            linkify: true,
+            langPrefix: 'hljs language-',
+            highlight: (code, language) => this.highlight(code, language)
+        });
+        this.installMarkdownRules();
+
+        this.documents = {};
+        this.documentsByPath = {};
+        this.documentsByFullName = {};
+        this.navigationTree = null;
+    }
+
+    async export(unifiedDocument) {
+        const startTime = Date.now();
+        const outputDir = this.options.outputDir;
+
+        this.documents = unifiedDocument.documents;
+        this.indexDocuments();
+        this.navigationTree = this.buildNavigationTree(Object.keys(this.documents));
+
+        fs.mkdirSync(path.join(outputDir, 'assets'), { recursive: true });
+        await this.writeAssets();
+
+        const writtenPages = new Set();
+        for (const doc of Object.values(this.documents)) {
+            const fileName = this.pageFileName(doc.key);
+            await this.options.writeFile(path.join(outputDir, fileName), this.renderDocumentPage(doc));
+            writtenPages.add(fileName);
+        }
+
+        await this.options.writeFile(path.join(outputDir, 'index.html'), this.renderIndexPage(unifiedDocument.metadata));
+        writtenPages.add('index.html');
+
+        this.removeStalePages(writtenPages);
+
+        console.log(`🌍 Exported ${writtenPages.size} pages to ${outputDir} (${Date.now() - startTime}ms)`);
+        return { pages: writtenPages.size };
+    }
+
+    indexDocuments() {
+        this.documentsByPath = {};
+        this.documentsByFullName = {};
+
+        Object.values(this.documents).forEach(doc => {
+            if (doc.type !== 'api' && doc.path) {
+                this.documentsByPath[this.normalizePath(doc.path)] = doc;
+            }
+            if (doc.type === 'api' && doc.fullName && !this.documentsByFullName[doc.fullName]) {
+                this.documentsByFullName[doc.fullName] = doc;
+            }
+        });
+    }
+
+    pageFileName(key) {
+        // Same portable character set as the shard file names
+        return `${key.replace(/[^A-Za-z0-9._-]/g, '_')}.html`;
+    }
+
+    normalizePath(docPath) {
+        return path.posix.normalize(docPath.replace(/\\/g, '/')).replace(/^\.\//, '');
+    }
+
+    escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    highlight(code, language) {
+        const lang = (language || '').toLowerCase();
+        if (lang && hljs.getLanguage(lang)) {
+            try {
+                return hljs.highlight(code, { language: lang, ignoreIllegals: true }).value;
+            } catch (error) {
+                // Fall through to plain escaped text
+            }
+        }
+        return this.escapeHtml(code);
+    }
+
+    renderCodeBlock(code, language) {
+        const lang = this.escapeHtml(language || 'text');
+        return `<pre><code class="hljs language-${lang}">${this.highlight(code, language)}</code></pre>\n`;
+    }
+
+    installMarkdownRules() {
+        const defaultLinkOpen = this.markdown.renderer.rules.link_open
+            || ((tokens, idx, options, env, self) => self.renderToken(tokens, idx, options));
+
+        // Headings get the builder's section id plus a permalink; one slugger per page numbers the repeats
+        this.markdown.renderer.rules.heading_open = (tokens, idx, options, env) => {
+            const slugger = env.slugger || (env.slugger = new HeadingSlugger());
+            const id = slugger.slug(tokens[idx + 1].content);
+
+            tokens[idx].meta = { id };
+            return `<${tokens[idx].tag} id="${this.escapeHtml(id)}">`;
+        };
+        this.markdown.renderer.rules.heading_close = (tokens, idx) => {
+            const { id } = tokens[idx - 2].meta || {};
+            const permalink = id ? `<a class="permalink" href="#${this.escapeHtml(id)}" aria-label="Permalink">#</a>` : '';
+            return `${permalink}</${tokens[idx].tag}>\n`;
+        };
+
+        // Relative links between markdown files point at the exported pages instead
+        this.markdown.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+            const href = tokens[idx].attrGet('href');
+            const rewritten = href && env.doc ? this.resolveDocumentLink(env.doc, href) : null;
+            if (rewritten) {
+                tokens[idx].attrSet('href', rewritten);
+            }
+            return defaultLinkOpen(tokens, idx, options, env, self);
+        };
+    }
+
+    resolveDocumentLink(doc, href) {
+        if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('#')) return null;
+
+        const [linkTarget, anchor] = href.split('#');
+        if (!/\.md$/i.test(linkTarget)) return null;
+
+        let target = linkTarget;
+        try {
+            target = decodeURIComponent(linkTarget);
+        } catch (error) {
+            // Keep malformed escapes as written
+        }
+
+        const targetPath = target.startsWith('/')
+            ? this.normalizePath(target.slice(1))
+            : this.normalizePath(path.posix.join(path.posix.dirname(this.normalizePath(doc.path)), target));
+        const targetDoc = this.documentsByPath[targetPath];
+
+        return targetDoc ? `${this.pageFileName(targetDoc.key)}${anchor ? `#${anchor}` : ''}` : null;
+    }
+
+    buildNavigationTree(keys) {
+        const root = { name: '', key: null, children: new Map() };
+
+        keys.slice().sort().forEach(key => {
+            let node = root;
+            key.split('.').forEach((segment, index, segments) => {
+                if (!node.children.has(segment)) {
+                    node.children.set(segment, {
+                        name: segment,
+                        path: segments.slice(0, index + 1).join('.'),
+                        key: null,
+                        children: new Map()
+                    });
+                }
+                node = node.children.get(segment);
+            });
+            node.key = key;
+        });
+
+        return root;
+    }
+
+    // Full tree for the index page; document pages expand only the branch they sit on
+    renderNavigation(node, currentKey = null) {
+        const items = Array.from(node.children.values()).map(child => {
+            const isCurrent = child.key === currentKey;
+            const onPath = currentKey === null || currentKey === child.path || currentKey.startsWith(`${child.path}.`);
+            // Folders without a page of their own open at their place in the index tree
+            const label = child.key
+                ? `<a href="${this.pageFileName(child.key)}">${this.escapeHtml(child.name)}</a>`
+                : `<a class="folder" href="index.html#nav-${this.escapeHtml(child.path)}">${this.escapeHtml(child.name)}</a>`;
+            const nested = child.children.size > 0 && onPath ? this.renderNavigation(child, currentKey) : '';
+            const attributes = [
+                currentKey === null ? ` id="nav-${this.escapeHtml(child.path)}"` : '',
+                isCurrent ? ' class="current"' : ''
+            ].join('');
+
+            return `<li${attributes}>${label}${nested}</li>`;
+        });
+
+        return `<ul>${items.join('')}</ul>`;
+    }
+
+    renderBreadcrumbs(key) {
+        const segments = key.split('.');
+        return segments.map((segment, index) => {
+            const ancestorKey = segments.slice(0, index + 1).join('.');
+            const isLast = index === segments.length - 1;
+            if (!isLast && this.documents[ancestorKey]) {
+                return `<a href="${this.pageFileName(ancestorKey)}">${this.escapeHtml(segment)}</a>`;
+            }
+            return this.escapeHtml(segment);
+        }).join(' / ');
+    }
+
+    renderDocumentPage(doc) {
+        const env = { doc };
+        const tags = (doc.tags || []).map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join('');
+        const source = doc.path ? `${this.escapeHtml(doc.path)}${doc.line ? `:${doc.line}` : ''}` : '';
+        // Most markdown documents open with their own # title
+        const hasOwnTitle = typeof doc.fullContent === 'string' && /^\s*#\s/.test(doc.fullContent);
+
+        const body = `
+<div class="breadcrumbs">${this.renderBreadcrumbs(doc.key)}</div>
+${hasOwnTitle ? '' : `<h1>${this.escapeHtml(doc.title)}</h1>`}
+<div class="document-meta"><span class="type-badge type-${this.escapeHtml(doc.type)}">${this.escapeHtml(doc.type)}</span>${source} ${tags}</div>
+${this.renderDocumentBody(doc, env)}`;
+
+        return this.renderPage(doc.title, body, this.renderNavigation(this.navigationTree, doc.key));
+    }
+
+    renderDocumentBody(doc, env) {
+        // Markdown documents keep their original structure; everything else is rebuilt from sections
+        if (typeof doc.fullContent === 'string') {
+            return this.markdown.render(doc.fullContent, env);
+        }
+
+        if (doc.type === 'source') {
+            const code = (doc.codeBlocks || []).map(block => (typeof block === 'string' ? block : block.code)).join('\n');
+            return this.renderCodeBlock(code, 'csharp');
+        }
+
+        let html = '';
+        if (doc.signature) {
+            html += this.renderCodeBlock(doc.signature, 'csharp');
+        }
+
+        (doc.sections || []).forEach(section => {
+            const level = Math.min(Math.max(section.level || 2, 2), 6);
+            html += this.markdown.render(`${'#'.repeat(level)} ${section.heading}\n\n${section.content || ''}`, env);
+            (section.codeBlocks || []).forEach(code => {
+                html += this.renderCodeBlock(typeof code === 'string' ? code : code.code, code.language || 'csharp');
+            });
+        });
+
+        html += this.renderRelatedApis(doc);
+        return html;
+    }
+
+    renderRelatedApis(doc) {
+        const related = (doc.references || doc.apiReferences || [])
+            .map(name => this.documentsByFullName[name])
+            .filter(target => target && target.key !== doc.key);
+        if (related.length === 0) return '';
+
+        const items = related.map(target =>
+            `<li><a href="${this.pageFileName(target.key)}"><code>${this.escapeHtml(target.fullName)}</code></a></li>`);
+        return `<h2 id="see-also">See Also<a class="permalink" href="#see-also" aria-label="Permalink">#</a></h2>\n<ul>${items.join('')}</ul>\n`;
+    }
+
+    renderIndexPage(metadata) {
+        const documents = Object.values(this.documents);
+        const typeCounts = {};
+        documents.forEach(doc => {
+            typeCounts[doc.type] = (typeCounts[doc.type] || 0) + 1;
+        });
+
+        const counts = Object.entries(typeCounts)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([type, count]) => `<li><span class="type-badge type-${this.escapeHtml(type)}">${this.escapeHtml(type)}</span>${count}</li>`)
+            .join('');
+
+        const body = `
+<h1>${this.escapeHtml(this.options.siteTitle)}</h1>
+<div class="document-meta">${documents.length} documents • Built ${this.escapeHtml(metadata && metadata.buildTime)}</div>
+<ul>${counts}</ul>
+<h2 id="all-documents">All Documents<a class="permalink" href="#all-documents" aria-label="Permalink">#</a></h2>
+${this.renderNavigation(this.navigationTree)}`;
+
+        return this.renderPage(this.options.siteTitle, body, '');
+    }
+
+    renderPage(title, body, navigation) {
+        const pageTitle = title === this.options.siteTitle ? title : `${title} - ${this.options.siteTitle}`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this.escapeHtml(pageTitle)}</title>
+    <link rel="stylesheet" href="assets/site.css">
+    <link rel="stylesheet" href="assets/highlight.css">
+</head>
+<body>
+<div class="layout">
+    ${navigation ? `<nav class="sidebar"><h2><a href="index.html">${this.escapeHtml(this.options.siteTitle)}</a></h2>${navigation}</nav>` : ''}
+    <main>${body}</main>
+</div>
+</body>
+</html>`;
+    }
+
+    async writeAssets() {
+        const assetsDir = path.join(this.options.outputDir, 'assets');
+        const highlightTheme = fs.readFileSync(require.resolve('highlight.js/styles/github.css'), 'utf8');
+
+        await this.options.writeFile(path.join(assetsDir, 'site.css'), SITE_STYLES.trimStart());
+        await this.options.writeFile(path.join(assetsDir, 'highlight.css'), highlightTheme);
+    }
+
+    // Pages an earlier export wrote and this one did not; other files in the folder are left alone
+    removeStalePages(writtenPages) {
+        const manifestFile = path.join(this.options.outputDir, PAGE_MANIFEST);
+        let previousPages = [];
+        try {
+            previousPages = JSON.parse(fs.readFileSync(manifestFile, 'utf8')).pages || [];
+        } catch (error) {
+            // First export into this folder, or an unreadable manifest: nothing is known to be ours
+        }
+
+        previousPages
+            .filter(pageFile => !writtenPages.has(pageFile) && path.basename(pageFile) === pageFile && pageFile.endsWith('.html'))
+            .flatMap(pageFile => [pageFile, `${pageFile}.gz`, `${pageFile}.br`])
+            .map(fileName => path.join(this.options.outputDir, fileName))
+            .filter(filePath => fs.existsSync(filePath))
+            .forEach(filePath => fs.unlinkSync(filePath));
+
+        fs.writeFileSync(manifestFile, JSON.stringify({ pages: Array.from(writtenPages).sort() }, null, 2));
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {};
+    let docsFile = './public/docs.json';
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--docs':
+                docsFile = args[++i];
+                break;
+            case '--out':
+                options.outputDir = args[++i];
+                break;
+            case '--title':
+                options.siteTitle = args[++i];
+                break;
+        }
+    }
+
+    const unifiedDocument = JSON.parse(fs.readFileSync(docsFile, 'utf8'));
+    if (unifiedDocument.metadata && unifiedDocument.metadata.format === 'sharded') {
+        console.error('❌ Sharded output has no full documents; run build-unified-docs.js --format html instead');
+        process.exit(1);
+    }
+
+    const exporter = new StaticSiteExporter(options);
+    exporter.export(unifiedDocument).catch(error => {
+        console.error('❌ Export failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = StaticSiteExporter;
\ No newline at end of file
@@ -3,25 +3,100 @@
 /**
  * Documentation Validation Script
  * Validates the generated docs.json file
+ * Usage: node validate-docs.js [docs.json] [--format text|json|sarif|junit] [--output file] [--severity rule=level,...]
  */
 
 const fs = require('fs');
 const path = require('path');
+const CodeSampleChecker = require('./code-sample-checker');
+const ValidationReport = require('./validation-report');
+const DocsConfig = require('./docs-config');
+
+// Rule IDs with their default severity; --severity or validation.severities in racdocs.config.js override them
+const RULES = {
+    'docs-file': { severity: 'error', description: 'docs.json and its shards exist and parse' },
+    'structure': { severity: 'error', description: 'Required top-level and metadata fields are present' },
+    'document-count': { severity: 'warning', description: 'The build found a plausible number of documents' },
+    'build-age': { severity: 'warning', description: 'docs.json was built within the last 24 hours' },
+    'document-shape': { severity: 'error', description: 'Documents have a matching key, title, type, path and sections' },
+    'duplicate-path': { severity: 'error', description: 'No two documents come from the same file' },
+    'document-key-format': { severity: 'warning', description: 'Document keys are lowercase dotted paths' },
+    'empty-document': { severity: 'warning', description: 'Documents have sections, each with an id and heading' },
+    'document-types': { severity: 'warning', description: 'API docs, code samples and tutorials are all present' },
+    'frontmatter-schema': { severity: 'warning', description: 'Frontmatter matches schemas/documentation-frontmatter.json' },
+    'broken-link': { severity: 'error', description: 'Links into the documentation build resolve to a document' },
+    'external-link': { severity: 'warning', description: 'Relative links stay inside the documentation build' },
+    'broken-anchor': { severity: 'warning', description: 'Link anchors match a section of the target document' },
+    'code-sample-api': { severity: 'error', description: 'C# samples only use members that exist on engine types' },
+    'code-sample-identifier': { severity: 'warning', description: 'C# samples only use identifiers the checker can place' },
+    'cross-references': { severity: 'warning', description: 'Cross-references are present and well formed' },
+    'api-reference': { severity: 'warning', description: 'API names in documents resolve to exactly one symbol' },
+    'project-graph': { severity: 'warning', description: 'docs.json includes the .csproj dependency graph' },
+    'project-cycle': { severity: 'error', description: 'Project references form no cycles' },
+    'project-layering': { severity: 'error', description: 'Projects only reference their own or lower layers' },
+    'project-reference': { severity: 'warning', description: 'Project references point at existing projects' },
+    'learning-graph': { severity: 'warning', description: 'docs.json includes the learning path graph' },
+    'learning-path-target': { severity: 'error', description: 'prerequisites, nextSteps and seeAlso documents exist' },
+    'learning-path-cycle': { severity: 'error', description: 'Prerequisites and next steps form no cycles' },
+    'stale-doc': { severity: 'warning', description: 'Project pages keep up with their src/ project' },
+    'search-index': { severity: 'error', description: 'The search index has terms and breadcrumbs' },
+    'search-ranking': { severity: 'warning', description: 'The search index has section lengths for ranking' },
+    'validation': { severity: 'error', description: 'The validator ran to completion' }
+};
+
+const SEVERITIES = ['error', 'warning', 'note', 'off'];
 
 class DocumentationValidator {
-    constructor(docsFile = './public/docs.json') {
+    constructor(docsFile = './public/docs.json', options = {}) {
         this.docsFile = docsFile;
-        this.errors = [];
-        this.warnings = [];
+        this.options = {
+            severities: {},
+            log: console.log,
+            ...options
+        };
+
+        Object.entries(this.options.severities).forEach(([rule, severity]) => {
+            if (!RULES[rule]) throw new Error(`Unknown validation rule "${rule}" (rules: ${Object.keys(RULES).join(', ')})`);
+            if (!SEVERITIES.includes(severity)) throw new Error(`Invalid severity "${severity}" for ${rule} (use ${SEVERITIES.join(', ')})`);
+        });
+
+        this.log = this.options.log;
+        this.diagnostics = [];
+        this.documentKeysByPath = new Map();
+    }
+
+    get errors() {
+        return this.diagnostics.filter(diagnostic => diagnostic.severity === 'error').map(diagnostic => diagnostic.message);
+    }
+
+    get warnings() {
+        return this.diagnostics.filter(diagnostic => diagnostic.severity === 'warning').map(diagnostic => diagnostic.message);
+    }
+
+    // Records one finding; the document key is looked up from the path when the check only knows the file
+    report(rule, message, { documentKey = null, path: filePath = null, line = null } = {}) {
+        const severity = this.options.severities[rule] || RULES[rule].severity;
+        if (severity === 'off') return;
+
+        const normalizedPath = filePath ? this.normalizeDocPath(filePath) : null;
+        this.diagnostics.push({
+            rule,
+            severity,
+            message,
+            documentKey: documentKey || (normalizedPath && this.documentKeysByPath.get(normalizedPath)) || null,
+            path: normalizedPath,
+            line: line || null
+        });
     }
 
     validate() {
-        console.log('🔍 Validating documentation...');
+        this.log('🔍 Validating documentation...');
+        this.diagnostics = [];
 
         try {
             // Check if file exists
             if (!fs.existsSync(this.docsFile)) {
-                this.errors.push(`Documentation file not found: ${this.docsFile}`);
+                this.report('docs-file', `Documentation file not found: ${this.docsFile}`);
                 return this.showResults();
             }
 
@@ -32,38 +107,107 @@ class DocumentationValidator {
             try {
                 docs = JSON.parse(content);
             } catch (parseError) {
-                this.errors.push(`Invalid JSON: ${parseError.message}`);
+                this.report('docs-file', `Invalid JSON: ${parseError.message}`);
                 return this.showResults();
             }
 
+            // Sharded builds split documents and the search index into separate files
+            if (docs.metadata && docs.metadata.format === 'sharded') {
+                docs = this.loadShards(docs);
+            }
+
+            // API documents share their source file, so a path names its file-level document
+            this.documentKeysByPath = new Map();
+            Object.values(docs.documents || {})
+                .filter(doc => doc && doc.path && doc.key)
+                .sort((a, b) => (a.type === 'api') - (b.type === 'api'))
+                .forEach(doc => {
+                    const docPath = this.normalizeDocPath(doc.path);
+                    if (!this.documentKeysByPath.has(docPath)) this.documentKeysByPath.set(docPath, doc.key);
+                });
+
             // Validate structure
             this.validateStructure(docs);
             this.validateMetadata(docs.metadata);
             this.validateDocuments(docs.documents);
-            this.validateCrossReferences(docs.crossReferences);
+            this.validateFrontmatter(docs.diagnostics);
+            this.validateLinks(docs.documents, docs.metadata);
+            this.validateCodeSamples(docs.documents);
+            this.validateCrossReferences(docs.crossReferences, docs.diagnostics);
+            this.validateProjects(docs.projects);
+            this.validateLearningGraph(docs.learningGraph, docs.documents);
+            this.validateFreshness(docs.documents, docs.diagnostics);
             this.validateSearchIndex(docs.searchIndex);
 
             return this.showResults();
 
         } catch (error) {
-            this.errors.push(`Validation failed: ${error.message}`);
+            this.report('validation', `Validation failed: ${error.message}`);
             return this.showResults();
         }
     }
 
+    loadShards(manifest) {
+        const outputDir = path.dirname(this.docsFile);
+        const readJson = (relativePath, description) => {
+            const filePath = path.join(outputDir, relativePath);
+            if (!fs.existsSync(filePath)) {
+                this.report('docs-file', `${description} not found: ${filePath}`);
+                return null;
+            }
+            try {
+                return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (parseError) {
+                this.report('docs-file', `Invalid JSON in ${relativePath}: ${parseError.message}`);
+                return null;
+            }
+        };
+
+        // Swap manifest summaries for the full documents so every check sees the same shape
+        const documents = {};
+        for (const [shardName, shard] of Object.entries(manifest.shards || {})) {
+            const shardData = readJson(shard.file, `Shard ${shardName}`);
+            if (!shardData) continue;
+
+            for (const key of shard.documents) {
+                if (shardData.documents && shardData.documents[key]) {
+                    documents[key] = shardData.documents[key];
+                } else {
+                    this.report('docs-file', `Shard ${shardName} is missing document ${key}`, { documentKey: key });
+                }
+            }
+        }
+
+        for (const [key, summary] of Object.entries(manifest.documents || {})) {
+            if (!documents[key]) {
+                this.report('docs-file', `Document ${key} is not available from shard ${summary.shard || '(none)'}`, { documentKey: key });
+                documents[key] = summary;
+            }
+        }
+
+        // The search index, cross-references and diagnostics may each live in a file of their own
+        const readPart = (part, description) => (part && part.file ? readJson(part.file, description) : part);
+        const searchIndex = readPart(manifest.searchIndex, 'Search index');
+        const crossReferences = readPart(manifest.crossReferences, 'Cross-references');
+        const diagnostics = readPart(manifest.diagnostics, 'Diagnostics') || [];
+
+        this.log(`🧩 Loaded ${Object.keys(manifest.shards || {}).length} shards`);
+        return { ...manifest, documents, searchIndex, crossReferences, diagnostics };
+    }
+
     validateStructure(docs) {
         const requiredFields = ['metadata', 'documents', 'crossReferences', 'searchIndex'];
 
         for (const field of requiredFields) {
             if (!(field in docs)) {
-                this.errors.push(`Missing required field: ${field}`);
+                this.report('structure', `Missing required field: ${field}`);
             }
         }
     }
 
     validateMetadata(metadata) {
         if (!metadata) {
-            this.errors.push('Missing metadata section');
+            this.report('structure', 'Missing metadata section');
             return;
         }
 
@@ -71,15 +215,15 @@ class DocumentationValidator {
 
         for (const field of requiredFields) {
             if (!(field in metadata)) {
-                this.errors.push(`Missing metadata field: ${field}`);
+                this.report('structure', `Missing metadata field: ${field}`);
             }
         }
 
         // Check document count
         if (metadata.totalDocuments === 0) {
-            this.warnings.push('No documents found - this might indicate a scanning problem');
+            this.report('document-count', 'No documents found - this might indicate a scanning problem');
         } else if (metadata.totalDocuments < 5) {
-            this.warnings.push(`Only ${metadata.totalDocuments} documents found - expected more for a game engine`);
+            this.report('document-count', `Only ${metadata.totalDocuments} documents found - expected more for a game engine`);
         }
 
         // Check build time
@@ -88,20 +232,20 @@ class DocumentationValidator {
         const ageHours = (now - buildTime) / (1000 * 60 * 60);
 
         if (ageHours > 24) {
-            this.warnings.push(`Documentation is ${Math.round(ageHours)} hours old`);
+            this.report('build-age', `Documentation is ${Math.round(ageHours)} hours old`);
         }
     }
 
     validateDocuments(documents) {
         if (!documents || typeof documents !== 'object') {
-            this.errors.push('Documents section is missing or invalid');
+            this.report('structure', 'Documents section is missing or invalid');
             return;
         }
 
         const documentKeys = Object.keys(documents);
 
         if (documentKeys.length === 0) {
-            this.errors.push('No documents found');
+            this.report('document-count', 'No documents found');
             return;
         }
 
@@ -116,152 +260,413 @@ class DocumentationValidator {
             // Count types
             typeCount[doc.type] = (typeCount[doc.type] || 0) + 1;
 
-            // Check for duplicate paths
+            // Check for duplicate paths (API documents share their source file)
+            if (doc.type === 'api') {
+                continue;
+            }
             if (pathCount[doc.path]) {
-                this.errors.push(`Duplicate document path: ${doc.path}`);
+                this.report('duplicate-path', `Duplicate document path: ${doc.path}`, { documentKey: key, path: doc.path });
             }
             pathCount[doc.path] = true;
         }
 
         // Check for expected document types
         if (!typeCount.api) {
-            this.warnings.push('No API documentation found');
+            this.report('document-types', 'No API documentation found');
         }
         if (!typeCount.sample && !typeCount.codesample) {
-            this.warnings.push('No code samples found');
+            this.report('document-types', 'No code samples found');
         }
         if (!typeCount.tutorial) {
-            this.warnings.push('No tutorials found');
+            this.report('document-types', 'No tutorials found');
         }
 
-        console.log('📊 Document type breakdown:');
+        this.log('📊 Document type breakdown:');
         for (const [type, count] of Object.entries(typeCount)) {
-            console.log(`   ${type}: ${count}`);
+            this.log(`   ${type}: ${count}`);
         }
     }
 
     validateDocument(key, doc) {
+        const location = { documentKey: key, path: doc.path };
         const requiredFields = ['key', 'title', 'type', 'path', 'sections'];
 
         for (const field of requiredFields) {
             if (!(field in doc)) {
-                this.errors.push(`Document ${key} missing field: ${field}`);
+                this.report('document-shape', `Document ${key} missing field: ${field}`, location);
             }
         }
 
         // Validate key format
         if (key !== doc.key) {
-            this.errors.push(`Document key mismatch: ${key} vs ${doc.key}`);
+            this.report('document-shape', `Document key mismatch: ${key} vs ${doc.key}`, location);
         }
 
         // Check breadcrumb format
         if (!key.match(/^[a-z0-9.-]+$/)) {
-            this.warnings.push(`Document key format questionable: ${key}`);
+            this.report('document-key-format', `Document key format questionable: ${key}`, location);
         }
 
         // Validate sections
         if (doc.sections && Array.isArray(doc.sections)) {
             for (const section of doc.sections) {
                 if (!section.id || !section.heading) {
-                    this.warnings.push(`Document ${key} has section missing id or heading`);
+                    this.report('empty-document', `Document ${key} has section missing id or heading`, location);
                 }
             }
         }
 
         // Check for content
         if (!doc.sections || doc.sections.length === 0) {
-            this.warnings.push(`Document ${key} has no sections`);
+            this.report('empty-document', `Document ${key} has no sections`, location);
+        }
+    }
+
+    // The builder checks frontmatter against the schema while it reads each file
+    validateFrontmatter(diagnostics = []) {
+        const problems = (diagnostics || []).filter(diagnostic => diagnostic.rule === 'frontmatter-schema');
+        problems.forEach(problem => {
+            this.report('frontmatter-schema', `Frontmatter in ${problem.path}:${problem.line}: ${problem.field ? `${problem.field}: ` : ''}${problem.message}`, problem);
+        });
+
+        this.log(`🧾 ${problems.length} frontmatter problems`);
+    }
+
+    validateLinks(documents, metadata) {
+        if (!documents || typeof documents !== 'object') {
+            return;
+        }
+
+        // Index documents by normalized path so relative links can be resolved
+        const documentsByPath = {};
+        for (const doc of Object.values(documents)) {
+            if (doc.path && doc.type !== 'api') {
+                documentsByPath[this.normalizeDocPath(doc.path)] = doc;
+            }
+        }
+        const scannedDirectories = ((metadata && metadata.directories) || []).map(dir => this.normalizeDocPath(dir));
+
+        let checkedLinks = 0;
+        let brokenLinks = 0;
+
+        for (const doc of Object.values(documents)) {
+            if (!Array.isArray(doc.links) || !doc.path) continue;
+
+            const sourcePath = this.normalizeDocPath(doc.path);
+
+            for (const link of doc.links) {
+                if (link.type !== 'document' && link.type !== 'anchor') continue;
+                checkedLinks++;
+
+                const location = `${sourcePath}${link.line ? `:${link.line}` : ''}`;
+                const linkLocation = { documentKey: doc.key, path: sourcePath, line: link.line };
+                const [linkTarget, anchor] = link.url.split('#');
+                let target = doc;
+
+                if (link.type === 'document') {
+                    const targetPath = this.resolveLinkPath(sourcePath, linkTarget);
+                    target = documentsByPath[targetPath];
+
+                    if (!target) {
+                        const insideBuild = scannedDirectories.some(dir => targetPath === dir || targetPath.startsWith(`${dir}/`));
+                        if (insideBuild) {
+                            this.report('broken-link', `Broken link in ${location}: ${link.url} (no document at ${targetPath})`, linkLocation);
+                        } else {
+                            this.report('external-link', `Link in ${location} points outside the documentation build: ${link.url}`, linkLocation);
+                        }
+                        brokenLinks++;
+                        continue;
+                    }
+                }
+
+                if (anchor && !this.hasSectionAnchor(target, anchor)) {
+                    this.report('broken-anchor', `Broken anchor in ${location}: ${link.url} (no section #${anchor} in ${target.path})`, linkLocation);
+                    brokenLinks++;
+                }
+            }
+        }
+
+        this.log(`🔗 Checked ${checkedLinks} internal links, ${brokenLinks} broken`);
+    }
+
+    validateCodeSamples(documents) {
+        if (!documents || typeof documents !== 'object') {
+            return;
+        }
+
+        // Removed or renamed engine APIs are errors; names the checker cannot place are warnings
+        const checker = new CodeSampleChecker();
+        const { problems, checkedBlocks, skippedBlocks } = checker.checkDocuments(documents);
+
+        problems.forEach(problem => {
+            const location = `${this.normalizeDocPath(problem.path)}${problem.line ? `:${problem.line}` : ''}`;
+            this.report(
+                problem.severity === 'error' ? 'code-sample-api' : 'code-sample-identifier',
+                `Code sample in ${location} references ${problem.identifier}: ${problem.message}`,
+                { documentKey: problem.documentKey, path: problem.path, line: problem.line }
+            );
+        });
+
+        this.log(`🧪 Checked ${checkedBlocks} C# code blocks (${skippedBlocks} opted out), ${problems.length} unknown identifiers`);
+    }
+
+    normalizeDocPath(docPath) {
+        return path.posix.normalize(docPath.replace(/\\/g, '/')).replace(/^\.\//, '').replace(/\/$/, '');
+    }
+
+    resolveLinkPath(sourcePath, linkTarget) {
+        let target = linkTarget;
+        try {
+            target = decodeURIComponent(linkTarget);
+        } catch (error) {
+            // Keep malformed escapes as written
         }
+
+        // Root-relative links start from the repository root
+        if (target.startsWith('/')) {
+            return this.normalizeDocPath(target.slice(1));
+        }
+
+        return this.normalizeDocPath(path.posix.join(path.posix.dirname(sourcePath), target));
     }
 
-    validateCrossReferences(crossRefs) {
+    hasSectionAnchor(doc, anchor) {
+        if (!Array.isArray(doc.sections)) return false;
+
+        // Heading slugs differ slightly between renderers, so compare without hyphen runs too
+        const loose = (id) => id.toLowerCase().replace(/-+/g, '');
+        const wanted = anchor.toLowerCase();
+
+        return doc.sections.some(section =>
+            section.id === wanted || loose(section.id || '') === loose(wanted));
+    }
+
+    validateCrossReferences(crossRefs, diagnostics = []) {
         if (!crossRefs || typeof crossRefs !== 'object') {
-            this.warnings.push('Cross-references section is missing or invalid');
+            this.report('cross-references', 'Cross-references section is missing or invalid');
             return;
         }
 
         let totalRefs = 0;
         for (const [apiName, refData] of Object.entries(crossRefs)) {
             if (!refData.references || !Array.isArray(refData.references)) {
-                this.warnings.push(`Cross-reference ${apiName} has no references array`);
+                this.report('cross-references', `Cross-reference ${apiName} has no references array`);
                 continue;
             }
             totalRefs += refData.references.length;
         }
 
         if (totalRefs === 0) {
-            this.warnings.push('No cross-references found - API usage tracking may not be working');
+            this.report('cross-references', 'No cross-references found - API usage tracking may not be working');
+        }
+
+        // Names the builder could not pin to one symbol in src/
+        const referenceProblems = (diagnostics || []).filter(diagnostic => diagnostic.rule === 'api-reference');
+        referenceProblems.forEach(problem => {
+            this.report(
+                'api-reference',
+                `${problem.status === 'ambiguous' ? 'Ambiguous' : 'Unresolved'} reference in ${problem.path}:${problem.line}: ${problem.name}${problem.candidates.length > 0 ? ` (${problem.candidates.join(', ')})` : ''}`,
+                problem
+            );
+        });
+
+        this.log(`🔗 Found ${Object.keys(crossRefs).length} cross-referenced APIs with ${totalRefs} total references, ${referenceProblems.length} unresolved or ambiguous`);
+    }
+
+    // Reference cycles and references up the layer stack (Rac.Core -> Rac.Rendering) are errors
+    validateProjects(projects) {
+        if (!projects || typeof projects !== 'object' || !projects.projects) {
+            this.report('project-graph', 'Project graph is missing - rebuild the docs to include .csproj dependencies');
+            return;
+        }
+
+        (projects.cycles || []).forEach(cycle => {
+            this.report('project-cycle', `Project reference cycle between ${cycle.join(', ')}`);
+        });
+
+        (projects.violations || []).forEach(violation => {
+            this.report('project-layering', `Layering violation in ${violation.path}:${violation.line}: ${violation.from} (${violation.fromLayer}) references ${violation.to} (${violation.toLayer})`, violation);
+        });
+
+        Object.values(projects.projects).forEach(project => {
+            project.projectReferences
+                .filter(reference => !reference.project)
+                .forEach(reference => this.report('project-reference', `Project reference in ${project.path}:${reference.line} points to a missing project: ${reference.include}`, { path: project.path, line: reference.line }));
+        });
+
+        this.log(`🧩 Checked ${Object.keys(projects.projects).length} projects: ${(projects.cycles || []).length} cycles, ${(projects.violations || []).length} layering violations`);
+    }
+
+    // Frontmatter pointing at a missing document, and prerequisite loops that leave a path without a start
+    validateLearningGraph(learningGraph, documents = {}) {
+        if (!learningGraph || typeof learningGraph !== 'object' || !learningGraph.nodes) {
+            this.report('learning-graph', 'Learning graph is missing - rebuild the docs to resolve prerequisites and nextSteps');
+            return;
         }
 
-        console.log(`🔗 Found ${Object.keys(crossRefs).length} cross-referenced APIs with ${totalRefs} total references`);
+        (learningGraph.unresolved || []).forEach(entry => {
+            this.report('learning-path-target', `Dangling ${entry.relation} in ${entry.path}${entry.line ? `:${entry.line}` : ''}: "${entry.target}" is not a document`, { documentKey: entry.from, path: entry.path, line: entry.line });
+        });
+
+        (learningGraph.edges || [])
+            .filter(edge => edge.to && !documents[edge.to])
+            .forEach(edge => this.report('learning-path-target', `${edge.relation} "${edge.target}" of ${edge.from} points to a removed document: ${edge.to}`, { documentKey: edge.from }));
+
+        (learningGraph.cycles || []).forEach(cycle => {
+            const node = learningGraph.nodes[cycle[0]] || {};
+            this.report('learning-path-cycle', `Prerequisite cycle between ${cycle.join(', ')}`, { documentKey: cycle[0], path: node.path });
+        });
+
+        this.log(`🧭 Checked ${(learningGraph.edges || []).length} learning links: ${(learningGraph.unresolved || []).length} dangling, ${(learningGraph.cycles || []).length} prerequisite cycles, ${(learningGraph.paths || []).length} learning paths`);
+    }
+
+    // The builder compares each docs/projects page with the git history of its src/ project
+    validateFreshness(documents, diagnostics = []) {
+        const staleDocs = (diagnostics || []).filter(diagnostic => diagnostic.rule === 'stale-doc');
+        staleDocs.forEach(problem => {
+            this.report('stale-doc', `Stale doc ${problem.path}: ${problem.message}`, problem);
+        });
+
+        const dated = Object.values(documents || {}).filter(doc => doc.lastCommit).length;
+        this.log(`🕓 ${dated} documents dated from git history, ${staleDocs.length} stale project pages`);
     }
 
     validateSearchIndex(searchIndex) {
         if (!searchIndex || typeof searchIndex !== 'object') {
-            this.errors.push('Search index is missing or invalid');
+            this.report('search-index', 'Search index is missing or invalid');
             return;
         }
 
         if (!searchIndex.terms || typeof searchIndex.terms !== 'object') {
-            this.errors.push('Search index terms are missing or invalid');
+            this.report('search-index', 'Search index terms are missing or invalid');
             return;
         }
 
         if (!searchIndex.breadcrumbs || !Array.isArray(searchIndex.breadcrumbs)) {
-            this.errors.push('Search index breadcrumbs are missing or invalid');
+            this.report('search-index', 'Search index breadcrumbs are missing or invalid');
             return;
         }
 
+        // Ranked search needs the per-section lengths for BM25 length normalization
+        if (!searchIndex.lengths || typeof searchIndex.lengths !== 'object') {
+            this.report('search-ranking', 'Search index has no section lengths - the viewer cannot rank results');
+        }
+
         const termCount = Object.keys(searchIndex.terms).length;
         const breadcrumbCount = searchIndex.breadcrumbs.length;
 
         if (termCount === 0) {
-            this.errors.push('No search terms found');
+            this.report('search-index', 'No search terms found');
         }
 
         if (breadcrumbCount === 0) {
-            this.errors.push('No breadcrumbs found');
+            this.report('search-index', 'No breadcrumbs found');
         }
 
-        console.log(`🔍 Search index: ${termCount} terms, ${breadcrumbCount} breadcrumbs`);
+        this.log(`🔍 Search index: ${termCount} terms, ${breadcrumbCount} breadcrumbs`);
     }
 
+    // Prints the findings and returns the result; only the CLI turns errors into an exit code
     showResults() {
-        console.log('\n📋 Validation Results:');
+        const result = this.getResult();
+        const notes = this.diagnostics.filter(diagnostic => diagnostic.severity === 'note').map(diagnostic => diagnostic.message);
+
+        this.log('\n📋 Validation Results:');
 
-        if (this.errors.length === 0 && this.warnings.length === 0) {
-            console.log('✅ Documentation validation passed!');
-            return true;
+        if (this.diagnostics.length === 0) {
+            this.log('✅ Documentation validation passed!');
+            return result;
         }
 
         if (this.errors.length > 0) {
-            console.log(`\n❌ Errors (${this.errors.length}):`);
-            this.errors.forEach(error => console.log(`   • ${error}`));
+            this.log(`\n❌ Errors (${this.errors.length}):`);
+            this.errors.forEach(error => this.log(`   • ${error}`));
         }
 
         if (this.warnings.length > 0) {
-            console.log(`\n⚠️  Warnings (${this.warnings.length}):`);
-            this.warnings.forEach(warning => console.log(`   • ${warning}`));
+            this.log(`\n⚠️  Warnings (${this.warnings.length}):`);
+            this.warnings.forEach(warning => this.log(`   • ${warning}`));
+        }
+
+        if (notes.length > 0) {
+            this.log(`\nℹ️  Notes (${notes.length}):`);
+            notes.forEach(note => this.log(`   • ${note}`));
         }
 
-        // Exit with error code if there are errors
         if (this.errors.length > 0) {
-            console.log('\n💥 Validation failed due to errors');
-            process.exit(1);
+            this.log('\n💥 Validation failed due to errors');
+        } else {
+            this.log('\n✅ Validation passed with warnings');
         }
+        return result;
+    }
 
-        console.log('\n✅ Validation passed with warnings');
-        return true;
+    getResult() {
+        const count = (severity) => this.diagnostics.filter(diagnostic => diagnostic.severity === severity).length;
+        return {
+            docsFile: this.docsFile,
+            valid: count('error') === 0,
+            summary: { errors: count('error'), warnings: count('warning'), notes: count('note') },
+            rules: Object.entries(RULES).map(([id, rule]) => ({
+                id,
+                description: rule.description,
+                severity: this.options.severities[id] || rule.severity
+            })),
+            diagnostics: this.diagnostics
+        };
     }
 }
 
+DocumentationValidator.RULES = RULES;
+
 // CLI usage
 if (require.main === module) {
     const args = process.argv.slice(2);
-    const docsFile = args[0] || './public/docs.json';
+    const valueOf = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : null);
+    const flagsWithValues = ['--format', '--output', '--severity', '--config'];
+    const docsFile = args.find((arg, index) => !arg.startsWith('--') && !flagsWithValues.includes(args[index - 1])) || './public/docs.json';
+    const format = valueOf('--format') || 'text';
+    const outputFile = valueOf('--output');
+
+    if (!['text', ...ValidationReport.FORMATS].includes(format)) {
+        console.error(`❌ Unknown format "${format}" (use text, ${ValidationReport.FORMATS.join(', ')})`);
+        process.exit(1);
+    }
+
+    let validator;
+    try {
+        // validation.severities from racdocs.config.js, then --severity rule=level,...
+        const config = args.includes('--no-config') ? { options: {} } : new DocsConfig().loadOptions({ configFile: valueOf('--config') });
+        const severities = { ...((config.options.validation || {}).severities || {}) };
+        (valueOf('--severity') || '').split(',').filter(Boolean).forEach(setting => {
+            const [rule, severity] = setting.split('=');
+            severities[rule.trim()] = (severity || '').trim();
+        });
+
+        // Machine-readable reports own stdout, so progress goes to stderr
+        validator = new DocumentationValidator(docsFile, {
+            severities,
+            log: format === 'text' || outputFile ? console.log : console.error
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    const result = validator.validate();
+    if (format !== 'text') {
+        const report = new ValidationReport(result).format(format);
+        if (outputFile) {
+            fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+            fs.writeFileSync(outputFile, report);
+            console.log(`📝 Wrote ${format} report to ${outputFile}`);
+        } else {
+            process.stdout.write(`${report}\n`);
+        }
+    }
 
-    const validator = new DocumentationValidator(docsFile);
-    validator.validate();
+    // Exit with error code if there are errors
+    process.exitCode = result.valid ? 0 : 1;
 }
 
 module.exports = DocumentationValidator;
\ No newline at end of file
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Validation Report
+ *
+ * Turns the result of DocumentationValidator.validate() into JSON, SARIF 2.1.0 (code scanning, editors)
+ * or JUnit XML (CI test reporters)
+ * Usage: node validation-report.js <result.json> [--format json|sarif|junit]
+ */
+
+const fs = require('fs');
+
+const FORMATS = ['json', 'sarif', 'junit'];
+
+class ValidationReport {
+    constructor(result, options = {}) {
+        this.result = result;
+        this.options = {
+            toolName: 'racdocs-validate',
+            toolVersion: '1.0.0',
+            ...options
+        };
+    }
+
+    format(format) {
+        switch (format) {
+            case 'json': return this.toJson();
+            case 'sarif': return this.toSarif();
+            case 'junit': return this.toJUnit();
+            default: throw new Error(`Unknown report format "${format}" (use ${FORMATS.join(', ')})`);
+        }
+    }
+
+    toJson() {
+        return JSON.stringify(this.result, null, 2);
+    }
+
+    toSarif() {
+        const rules = this.result.rules;
+        const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+        const results = this.result.diagnostics.map(diagnostic => {
+            const sarifResult = {
+                ruleId: diagnostic.rule,
+                ruleIndex: ruleIndex.get(diagnostic.rule),
+                level: diagnostic.severity,
+                message: { text: diagnostic.message }
+            };
+
+            if (diagnostic.path) {
+                sarifResult.locations = [{
+                    physicalLocation: {
+                        artifactLocation: { uri: diagnostic.path, uriBaseId: 'SRCROOT' },
+                        ...(diagnostic.line ? { region: { startLine: diagnostic.line } } : {})
+                    }
+                }];
+            }
+            if (diagnostic.documentKey) {
+                sarifResult.properties = { documentKey: diagnostic.documentKey };
+            }
+            return sarifResult;
+        });
+
+        return JSON.stringify({
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: this.options.toolName,
+                        version: this.options.toolVersion,
+                        rules: rules.map(rule => ({
+                            id: rule.id,
+                            shortDescription: { text: rule.description },
+                            defaultConfiguration: rule.severity === 'off'
+                                ? { enabled: false }
+                                : { level: rule.severity }
+                        }))
+                    }
+                },
+                artifacts: [{ location: { uri: this.result.docsFile } }],
+                results
+            }]
+        }, null, 2);
+    }
+
+    // One suite per rule and one case per finding; errors fail, warnings and notes pass with output
+    toJUnit() {
+        const escape = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        let tests = 0;
+        const suites = this.result.rules
+            .filter(rule => rule.severity !== 'off')
+            .map(rule => {
+                const diagnostics = this.result.diagnostics.filter(diagnostic => diagnostic.rule === rule.id);
+                const failures = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+
+                const cases = diagnostics.length === 0
+                    ? [`    <testcase name="${escape(rule.description)}" classname="${escape(rule.id)}"/>`]
+                    : diagnostics.map(diagnostic => {
+                        const location = diagnostic.path ? `${diagnostic.path}${diagnostic.line ? `:${diagnostic.line}` : ''}` : null;
+                        const name = escape(diagnostic.documentKey || location || diagnostic.message);
+                        const fileAttribute = diagnostic.path ? ` file="${escape(diagnostic.path)}"${diagnostic.line ? ` line="${diagnostic.line}"` : ''}` : '';
+                        const body = diagnostic.severity === 'error'
+                            ? `<failure message="${escape(diagnostic.message)}" type="${escape(rule.id)}">${escape(location || diagnostic.message)}</failure>`
+                            : `<system-out>${escape(`${diagnostic.severity}: ${diagnostic.message}`)}</system-out>`;
+                        return `    <testcase name="${name}" classname="${escape(rule.id)}"${fileAttribute}>${body}</testcase>`;
+                    });
+
+                tests += cases.length;
+                return [
+                    `  <testsuite name="${escape(rule.id)}" tests="${cases.length}" failures="${failures}" errors="0">`,
+                    ...cases,
+                    '  </testsuite>'
+                ].join('\n');
+            });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="${escape(this.options.toolName)}" tests="${tests}" failures="${this.result.summary.errors}" errors="0">`,
+            ...suites,
+            '</testsuites>'
+        ].join('\n');
+    }
+}
+
+ValidationReport.FORMATS = FORMATS;
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const resultFile = args.find((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--format');
+    const format = args.includes('--format') ? args[args.indexOf('--format') + 1] : 'sarif';
+
+    if (!resultFile) {
+        console.error('Usage: node validation-report.js <result.json> [--format json|sarif|junit]');
+        process.exit(1);
+    }
+
+    const result = JSON.parse(fs.readFileSync(resultFile, 'utf8'));
+    console.log(new ValidationReport(result).format(format));
+}
+
+module.exports = ValidationReport;
\ No newline at end of file